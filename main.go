@@ -20,6 +20,7 @@ import (
 	"os"
 	"path"
 	"sort"
+	"strconv"
 	"strings"
 	"sync"
 	"time"
@@ -31,28 +32,41 @@ var embeddedFiles embed.FS
 type Server struct {
 	templates map[string]*template.Template
 	netsuite  *NetSuiteClient
-	
-	// Cache for slow-changing data
-	employeeCache     []byte
-	employeeCacheTime time.Time
-	locationCache     []byte
-	locationCacheTime time.Time
-	cacheMu           sync.RWMutex
+
+	// Cache for slow-changing data, keyed by RESTlet action
+	listCache map[string]cachedList
+	cacheMu   sync.RWMutex
+}
+
+type cachedList struct {
+	payload []byte
+	fetched time.Time
 }
 
 const cacheDuration = 5 * time.Minute
 
+// maxRequisitionBody leaves room for 6MB of base64 attachments plus the form itself
+const maxRequisitionBody = 12 << 20
+
 type TemplateData struct {
-	Title    string
-	Active   string
-	Message  string
-	Requests []RequisitionLine
+	Title     string
+	Active    string
+	Message   string
+	Requests  []RequisitionGroup
+	Approvals []PendingApproval
+	Total     int
+	MoreURL   string
 }
 
+// Employee is one entry of the employees action. Subsidiary, its currency and
+// the default location set up the form for whoever is selected.
 type Employee struct {
-	ID    string `json:"id"`
-	Name  string `json:"name"`
-	Email string `json:"email"`
+	ID         string `json:"id"`
+	Name       string `json:"name"`
+	Email      string `json:"email"`
+	Subsidiary string `json:"subsidiary"`
+	Location   string `json:"location"`
+	Currency   string `json:"currency"`
 }
 
 type ItemResult struct {
@@ -69,30 +83,94 @@ type VendorOption struct {
 }
 
 type RequisitionItem struct {
-	ItemID         string  `json:"itemId"`
-	VendorID       string  `json:"vendorId,omitempty"`
-	IsNewVendor    bool    `json:"isNewVendor,omitempty"`
-	Quantity       float64 `json:"quantity"`
-	EstimatedPrice float64 `json:"estimatedPrice,omitempty"`
-	Description    string  `json:"description,omitempty"`
+	ItemID          string            `json:"itemId"`
+	VendorID        string            `json:"vendorId,omitempty"`
+	IsNewVendor     bool              `json:"isNewVendor,omitempty"`
+	Quantity        float64           `json:"quantity"`
+	EstimatedPrice  float64           `json:"estimatedPrice,omitempty"`
+	Description     string            `json:"description,omitempty"`
+	Fields          map[string]string `json:"fields,omitempty"`
+	PendingVendorID string            `json:"pendingVendorId,omitempty"`
+}
+
+// Attachment is a base64-encoded quote or photo, optionally tied to an item line (1-based)
+type Attachment struct {
+	Name    string `json:"name"`
+	Type    string `json:"type"`
+	Content string `json:"content"`
+	Line    int    `json:"line,omitempty"`
 }
 
 type CreateRequisitionRequest struct {
-	Action      string            `json:"action"`
-	RequestorID string            `json:"requestorId"`
-	Subsidiary  string            `json:"subsidiary"`
-	Location    string            `json:"location,omitempty"`
-	Memo        string            `json:"memo,omitempty"`
-	Items       []RequisitionItem `json:"items"`
+	Action         string            `json:"action"`
+	ID             string            `json:"id,omitempty"`
+	RequestorID    string            `json:"requestorId"`
+	Subsidiary     string            `json:"subsidiary"`
+	Location       string            `json:"location,omitempty"`
+	Memo           string            `json:"memo,omitempty"`
+	Fields         map[string]string `json:"fields,omitempty"`
+	IdempotencyKey string            `json:"idempotencyKey,omitempty"`
+	Items          []RequisitionItem `json:"items"`
+	Attachments    []Attachment      `json:"attachments,omitempty"`
+}
+
+// FieldError is one validation failure, tied to an item line and field where possible
+type FieldError struct {
+	Line    int    `json:"line,omitempty"`
+	Field   string `json:"field,omitempty"`
+	Code    string `json:"code"`
+	Message string `json:"message"`
+}
+
+// RestletError carries the errors a RESTlet action returns as {ok:false, errors:[...]}
+type RestletError struct {
+	Errors []FieldError
+}
+
+func (e *RestletError) Error() string {
+	messages := make([]string, 0, len(e.Errors))
+	for _, fe := range e.Errors {
+		messages = append(messages, fe.Message)
+	}
+	return strings.Join(messages, "; ")
 }
 
 // RequisitionLine represents a single line item from a requisition
 type RequisitionLine struct {
-	TranDate   string `json:"tranDate"`
-	TranID     string `json:"tranId"`
-	ItemName   string `json:"itemName"`
-	VendorName string `json:"vendorName"`
-	PONumber   string `json:"poNumber"`
+	ID             string  `json:"id"`
+	TranDate       string  `json:"tranDate"`
+	TranID         string  `json:"tranId"`
+	Status         string  `json:"status"`
+	ApprovalStatus string  `json:"approvalStatus"`
+	NextApprover   string  `json:"nextApprover"`
+	Total          float64 `json:"total"`
+	ItemName       string  `json:"itemName"`
+	Amount         float64 `json:"amount"`
+	VendorName     string  `json:"vendorName"`
+	PONumber       string  `json:"poNumber"`
+	POID           string  `json:"poId"`
+	Currency       string  `json:"currency"`
+}
+
+// RequisitionGroup holds the lines of one requisition with its header details
+type RequisitionGroup struct {
+	ID             string
+	TranDate       string
+	TranID         string
+	Status         string
+	ApprovalStatus string
+	NextApprover   string
+	Total          float64
+	Currency       string
+	Lines          []RequisitionLine
+}
+
+// RequisitionPage is one page of requisition lines plus the total line count
+type RequisitionPage struct {
+	Results  []RequisitionLine `json:"results"`
+	Total    int               `json:"total"`
+	Page     int               `json:"page"`
+	PageSize int               `json:"pageSize"`
 }
 
 func main() {
@@ -103,7 +181,14 @@ func main() {
 	// Parse base + page templates
 	templates["new"] = template.Must(template.ParseFS(embeddedFiles, "templates/base.html", "templates/new.html"))
 	templates["requests"] = template.Must(template.ParseFS(embeddedFiles, "templates/base.html", "templates/requests.html"))
-	templates["requests_list"] = template.Must(template.ParseFS(embeddedFiles, "templates/partials/requests_list.html"))
+	partialFuncs := template.FuncMap{
+		"statusClass": statusToClass,
+		"money":       formatMoney,
+	}
+	templates["approvals"] = template.Must(template.ParseFS(embeddedFiles, "templates/base.html", "templates/approvals.html"))
+	templates["requests_list"] = template.Must(template.New("requests_list.html").Funcs(partialFuncs).ParseFS(embeddedFiles, "templates/partials/requests_list.html"))
+	templates["approvals_list"] = template.Must(template.New("approvals_list.html").Funcs(partialFuncs).ParseFS(embeddedFiles, "templates/partials/approvals_list.html"))
+	templates["requests_rows"] = templates["requests_list"]
 
 	client, err := NewNetSuiteClientFromEnv()
 	if err != nil {
@@ -113,6 +198,7 @@ func main() {
 	server := &Server{
 		templates: templates,
 		netsuite:  client,
+		listCache: make(map[string]cachedList),
 	}
 
 	mux := http.NewServeMux()
@@ -123,16 +209,32 @@ func main() {
 	}
 	mux.Handle("/static/", http.StripPrefix("/static/", http.FileServer(http.FS(staticFS))))
 
+	mux.HandleFunc("/sw.js", server.handleServiceWorker)
 	mux.HandleFunc("/", server.handleNewRequisition)
 	mux.HandleFunc("/requests", server.handleRequestsPage)
+	mux.HandleFunc("/approvals", server.handleApprovalsPage)
 
+	mux.HandleFunc("/api/config", server.handleConfig)
 	mux.HandleFunc("/api/employees", server.handleEmployees)
+	mux.HandleFunc("/api/purchase-limits", server.handlePurchaseLimits)
 	mux.HandleFunc("/api/locations", server.handleLocations)
+	mux.HandleFunc("/api/departments", server.handleDepartments)
+	mux.HandleFunc("/api/classes", server.handleClasses)
 	mux.HandleFunc("/api/items", server.handleItems)
+	mux.HandleFunc("/api/items/lookup", server.handleLookupItems)
+	mux.HandleFunc("/api/items/frequent", server.handleFrequentItems)
 	mux.HandleFunc("/api/item-vendors", server.handleItemVendors)
 	mux.HandleFunc("/api/vendors", server.handleVendors)
+	mux.HandleFunc("/api/vendors/request", server.handleRequestVendor)
 	mux.HandleFunc("/api/requisitions", server.handleCreateRequisition)
+	mux.HandleFunc("/api/requisitions/cancel", server.handleCancelRequisition)
+	mux.HandleFunc("/api/requisitions/duplicates", server.handleDuplicates)
+	mux.HandleFunc("/api/requisition", server.handleRequisition)
+	mux.HandleFunc("/api/requisition/lines", server.handleRequisitionLines)
 	mux.HandleFunc("/api/requests", server.handleRequests)
+	mux.HandleFunc("/api/orders/tracking", server.handleOrderTracking)
+	mux.HandleFunc("/api/approvals", server.handleApprovals)
+	mux.HandleFunc("/api/approvals/decide", server.handleDecide)
 
 	addr := ":8080"
 	if port := os.Getenv("PORT"); port != "" {
@@ -181,6 +283,19 @@ func (s *Server) handleNewRequisition(w http.ResponseWriter, r *http.Request) {
 	s.renderPage(w, "new", data)
 }
 
+// handleServiceWorker serves static/sw.js from the root, because a service
+// worker only controls pages at or below its own path.
+func (s *Server) handleServiceWorker(w http.ResponseWriter, r *http.Request) {
+	data, err := embeddedFiles.ReadFile("static/sw.js")
+	if err != nil {
+		http.NotFound(w, r)
+		return
+	}
+	w.Header().Set("Content-Type", "text/javascript; charset=utf-8")
+	w.Header().Set("Cache-Control", "no-cache")
+	w.Write(data)
+}
+
 func (s *Server) handleRequestsPage(w http.ResponseWriter, r *http.Request) {
 	data := TemplateData{
 		Title:  "My Requests",
@@ -189,26 +304,76 @@ func (s *Server) handleRequestsPage(w http.ResponseWriter, r *http.Request) {
 	s.renderPage(w, "requests", data)
 }
 
+func (s *Server) handleApprovalsPage(w http.ResponseWriter, r *http.Request) {
+	data := TemplateData{
+		Title:  "Approvals",
+		Active: "approvals",
+	}
+	s.renderPage(w, "approvals", data)
+}
+
 func (s *Server) handleEmployees(w http.ResponseWriter, r *http.Request) {
+	s.serveCachedList(w, r, "employees", "")
+}
+
+// handleLocations lists active locations, only the subsidiary's when one is given.
+func (s *Server) handleLocations(w http.ResponseWriter, r *http.Request) {
+	subsidiary := strings.TrimSpace(r.URL.Query().Get("subsidiary"))
+	if !isInternalID(subsidiary) {
+		writeError(w, http.StatusBadRequest, "subsidiary must be an internal id")
+		return
+	}
+	s.serveCachedList(w, r, "locations", subsidiary)
+}
+
+func (s *Server) handleConfig(w http.ResponseWriter, r *http.Request) {
+	s.serveCachedList(w, r, "config", "")
+}
+
+func (s *Server) handleDepartments(w http.ResponseWriter, r *http.Request) {
+	s.serveCachedList(w, r, "departments", "")
+}
+
+func (s *Server) handleClasses(w http.ResponseWriter, r *http.Request) {
+	s.serveCachedList(w, r, "classes", "")
+}
+
+// isInternalID accepts a blank value or a NetSuite internal id (digits only)
+func isInternalID(v string) bool {
+	for _, c := range v {
+		if c < '0' || c > '9' {
+			return false
+		}
+	}
+	return true
+}
+
+// serveCachedList proxies a RESTlet list action, caching the payload for cacheDuration.
+// A non-blank subsidiary is passed through and cached separately.
+func (s *Server) serveCachedList(w http.ResponseWriter, r *http.Request, action, subsidiary string) {
 	if s.netsuite == nil {
 		writeError(w, http.StatusServiceUnavailable, "NetSuite restlet is not configured yet.")
 		return
 	}
 
+	params := map[string]string{"action": action}
+	key := action
+	if subsidiary != "" {
+		params["subsidiary"] = subsidiary
+		key += ":" + subsidiary
+	}
+
 	// Check cache first
 	s.cacheMu.RLock()
-	if s.employeeCache != nil && time.Since(s.employeeCacheTime) < cacheDuration {
-		data := s.employeeCache
-		s.cacheMu.RUnlock()
+	cached, ok := s.listCache[key]
+	s.cacheMu.RUnlock()
+	if ok && time.Since(cached.fetched) < cacheDuration {
 		w.Header().Set("Content-Type", "application/json")
-		w.Write(data)
+		w.Write(cached.payload)
 		return
 	}
-	s.cacheMu.RUnlock()
 
-	payload, err := s.netsuite.Call(r.Context(), http.MethodGet, map[string]string{
-		"action": "employees",
-	}, nil)
+	payload, err := s.netsuite.Call(r.Context(), http.MethodGet, params, nil)
 	if err != nil {
 		writeError(w, http.StatusBadGateway, err.Error())
 		return
@@ -216,65 +381,128 @@ func (s *Server) handleEmployees(w http.ResponseWriter, r *http.Request) {
 
 	// Update cache
 	s.cacheMu.Lock()
-	s.employeeCache = payload
-	s.employeeCacheTime = time.Now()
+	s.listCache[key] = cachedList{payload: payload, fetched: time.Now()}
 	s.cacheMu.Unlock()
 
 	w.Header().Set("Content-Type", "application/json")
 	w.Write(payload)
 }
 
-func (s *Server) handleLocations(w http.ResponseWriter, r *http.Request) {
+func (s *Server) handleItems(w http.ResponseWriter, r *http.Request) {
 	if s.netsuite == nil {
 		writeError(w, http.StatusServiceUnavailable, "NetSuite restlet is not configured yet.")
 		return
 	}
 
-	// Check cache first
-	s.cacheMu.RLock()
-	if s.locationCache != nil && time.Since(s.locationCacheTime) < cacheDuration {
-		data := s.locationCache
-		s.cacheMu.RUnlock()
+	query := strings.TrimSpace(r.URL.Query().Get("q"))
+	if query == "" {
 		w.Header().Set("Content-Type", "application/json")
-		w.Write(data)
+		w.Write([]byte("[]"))
 		return
 	}
-	s.cacheMu.RUnlock()
 
 	payload, err := s.netsuite.Call(r.Context(), http.MethodGet, map[string]string{
-		"action": "locations",
+		"action":     "items",
+		"q":          query,
+		"subsidiary": strings.TrimSpace(r.URL.Query().Get("subsidiary")),
 	}, nil)
 	if err != nil {
 		writeError(w, http.StatusBadGateway, err.Error())
 		return
 	}
 
-	// Update cache
-	s.cacheMu.Lock()
-	s.locationCache = payload
-	s.locationCacheTime = time.Now()
-	s.cacheMu.Unlock()
+	w.Header().Set("Content-Type", "application/json")
+	w.Write(payload)
+}
+
+// handleLookupItems resolves bulk-import SKUs and vendor names. Both are
+// JSON arrays of strings and are passed through to the RESTlet as-is.
+func (s *Server) handleLookupItems(w http.ResponseWriter, r *http.Request) {
+	if s.netsuite == nil {
+		writeError(w, http.StatusServiceUnavailable, "NetSuite restlet is not configured yet.")
+		return
+	}
+
+	skus := r.URL.Query().Get("skus")
+	if strings.TrimSpace(skus) == "" {
+		writeError(w, http.StatusBadRequest, "skus is required")
+		return
+	}
+
+	payload, err := s.netsuite.Call(r.Context(), http.MethodGet, map[string]string{
+		"action":      "lookupItems",
+		"skus":        skus,
+		"vendorNames": r.URL.Query().Get("vendorNames"),
+		"subsidiary":  strings.TrimSpace(r.URL.Query().Get("subsidiary")),
+	}, nil)
+	var restletErr *RestletError
+	if errors.As(err, &restletErr) {
+		writeFieldErrors(w, restletErr.Errors)
+		return
+	}
+	if err != nil {
+		writeError(w, http.StatusBadGateway, err.Error())
+		return
+	}
 
 	w.Header().Set("Content-Type", "application/json")
 	w.Write(payload)
 }
 
-func (s *Server) handleItems(w http.ResponseWriter, r *http.Request) {
+// handleFrequentItems ranks the employee's most-requested items, or everyone's at
+// a location when by=location, for the quick-add shortcuts on the form.
+func (s *Server) handleFrequentItems(w http.ResponseWriter, r *http.Request) {
 	if s.netsuite == nil {
 		writeError(w, http.StatusServiceUnavailable, "NetSuite restlet is not configured yet.")
 		return
 	}
 
-	query := strings.TrimSpace(r.URL.Query().Get("q"))
-	if query == "" {
-		w.Header().Set("Content-Type", "application/json")
-		w.Write([]byte("[]"))
+	by := strings.TrimSpace(r.URL.Query().Get("by"))
+	employeeID := strings.TrimSpace(r.URL.Query().Get("employeeId"))
+	location := strings.TrimSpace(r.URL.Query().Get("location"))
+	if by == "location" && location == "" {
+		writeError(w, http.StatusBadRequest, "location is required")
+		return
+	}
+	if by != "location" && employeeID == "" {
+		writeError(w, http.StatusBadRequest, "employeeId is required")
+		return
+	}
+
+	params := map[string]string{"action": "frequentItems", "employeeId": employeeID, "location": location}
+	if by != "" {
+		params["by"] = by
+	}
+	payload, err := s.netsuite.Call(r.Context(), http.MethodGet, params, nil)
+	var restletErr *RestletError
+	if errors.As(err, &restletErr) {
+		writeFieldErrors(w, restletErr.Errors)
+		return
+	}
+	if err != nil {
+		writeError(w, http.StatusBadGateway, err.Error())
+		return
+	}
+
+	w.Header().Set("Content-Type", "application/json")
+	w.Write(payload)
+}
+
+func (s *Server) handlePurchaseLimits(w http.ResponseWriter, r *http.Request) {
+	if s.netsuite == nil {
+		writeError(w, http.StatusServiceUnavailable, "NetSuite restlet is not configured yet.")
+		return
+	}
+
+	employeeID := strings.TrimSpace(r.URL.Query().Get("employeeId"))
+	if employeeID == "" {
+		writeError(w, http.StatusBadRequest, "employeeId is required")
 		return
 	}
 
 	payload, err := s.netsuite.Call(r.Context(), http.MethodGet, map[string]string{
-		"action": "items",
-		"q":      query,
+		"action":     "purchaseLimits",
+		"employeeId": employeeID,
 	}, nil)
 	if err != nil {
 		writeError(w, http.StatusBadGateway, err.Error())
@@ -324,8 +552,9 @@ func (s *Server) handleVendors(w http.ResponseWriter, r *http.Request) {
 	}
 
 	payload, err := s.netsuite.Call(r.Context(), http.MethodGet, map[string]string{
-		"action": "vendors",
-		"q":      query,
+		"action":     "vendors",
+		"q":          query,
+		"subsidiary": strings.TrimSpace(r.URL.Query().Get("subsidiary")),
 	}, nil)
 	if err != nil {
 		writeError(w, http.StatusBadGateway, err.Error())
@@ -342,7 +571,13 @@ func (s *Server) handleCreateRequisition(w http.ResponseWriter, r *http.Request)
 		return
 	}
 
+	r.Body = http.MaxBytesReader(w, r.Body, maxRequisitionBody)
 	if err := r.ParseForm(); err != nil {
+		var tooLarge *http.MaxBytesError
+		if errors.As(err, &tooLarge) {
+			writeError(w, http.StatusRequestEntityTooLarge, "request is too large")
+			return
+		}
 		writeError(w, http.StatusBadRequest, "invalid form submission")
 		return
 	}
@@ -356,29 +591,63 @@ func (s *Server) handleCreateRequisition(w http.ResponseWriter, r *http.Request)
 		}
 	}
 
+	var fields map[string]string
+	if fieldsJSON := r.FormValue("fieldsJson"); fieldsJSON != "" {
+		if err := json.Unmarshal([]byte(fieldsJSON), &fields); err != nil {
+			writeError(w, http.StatusBadRequest, "invalid fields")
+			return
+		}
+	}
+
+	var attachments []Attachment
+	if attachmentsJSON := r.FormValue("attachmentsJson"); attachmentsJSON != "" {
+		if err := json.Unmarshal([]byte(attachmentsJSON), &attachments); err != nil {
+			writeError(w, http.StatusBadRequest, "invalid attachments")
+			return
+		}
+	}
+
 	req := CreateRequisitionRequest{
-		Action:      "createRequisition",
-		RequestorID: strings.TrimSpace(r.FormValue("requestorId")),
-		Subsidiary:  strings.TrimSpace(r.FormValue("subsidiary")),
-		Location:    strings.TrimSpace(r.FormValue("location")),
-		Memo:        strings.TrimSpace(r.FormValue("notes")),
-		Items:       items,
+		Action:         "createRequisition",
+		RequestorID:    strings.TrimSpace(r.FormValue("requestorId")),
+		Subsidiary:     strings.TrimSpace(r.FormValue("subsidiary")),
+		Location:       strings.TrimSpace(r.FormValue("location")),
+		Memo:           strings.TrimSpace(r.FormValue("notes")),
+		Fields:         fields,
+		IdempotencyKey: strings.TrimSpace(r.FormValue("idempotencyKey")),
+		Items:          items,
+		Attachments:    attachments,
+	}
+
+	// Editing an existing requisition reuses the same form
+	verb := "submitted"
+	if id := strings.TrimSpace(r.FormValue("requisitionId")); id != "" {
+		req.Action = "updateRequisition"
+		req.ID = id
+		verb = "updated"
 	}
 
+	var fieldErrors []FieldError
 	if req.RequestorID == "" {
-		writeError(w, http.StatusBadRequest, "select your name first")
-		return
+		fieldErrors = append(fieldErrors, FieldError{Field: "requestorId", Code: "REQUIRED", Message: "Select your name first."})
 	}
 	if req.Subsidiary == "" {
-		writeError(w, http.StatusBadRequest, "subsidiary is required")
-		return
+		fieldErrors = append(fieldErrors, FieldError{Field: "subsidiary", Code: "REQUIRED", Message: "Subsidiary is required."})
 	}
 	if len(req.Items) == 0 {
-		writeError(w, http.StatusBadRequest, "add at least one item")
+		fieldErrors = append(fieldErrors, FieldError{Field: "items", Code: "REQUIRED", Message: "Add at least one item."})
+	}
+	if len(fieldErrors) > 0 {
+		writeFieldErrors(w, fieldErrors)
 		return
 	}
 
 	payload, err := s.netsuite.Call(r.Context(), http.MethodPost, nil, req)
+	var restletErr *RestletError
+	if errors.As(err, &restletErr) {
+		writeFieldErrors(w, restletErr.Errors)
+		return
+	}
 	if err != nil {
 		writeError(w, http.StatusBadGateway, err.Error())
 		return
@@ -390,15 +659,192 @@ func (s *Server) handleCreateRequisition(w http.ResponseWriter, r *http.Request)
 	}
 	_ = json.Unmarshal(payload, &response)
 
-	message := "Requisition submitted."
+	message := fmt.Sprintf("Requisition %s.", verb)
 	if response.TranID != "" {
-		message = fmt.Sprintf("Requisition %s submitted.", response.TranID)
+		message = fmt.Sprintf("Requisition %s %s.", response.TranID, verb)
 	}
 
+	// Scripted callers (the offline outbox) read the number from here rather than the HTML
+	w.Header().Set("X-Requisition-Tran-Id", response.TranID)
 	w.Header().Set("Content-Type", "text/html; charset=utf-8")
 	io.WriteString(w, fmt.Sprintf(`<div class="status status-success">%s</div>`, template.HTMLEscapeString(message)))
 }
 
+func (s *Server) handleRequisitionLines(w http.ResponseWriter, r *http.Request) {
+	if s.netsuite == nil {
+		writeError(w, http.StatusServiceUnavailable, "NetSuite restlet is not configured yet.")
+		return
+	}
+
+	id := strings.TrimSpace(r.URL.Query().Get("id"))
+	employeeID := strings.TrimSpace(r.URL.Query().Get("employeeId"))
+	if id == "" || employeeID == "" {
+		writeError(w, http.StatusBadRequest, "id and employeeId are required")
+		return
+	}
+
+	payload, err := s.netsuite.Call(r.Context(), http.MethodGet, map[string]string{
+		"action":     "requisitionLines",
+		"id":         id,
+		"employeeId": employeeID,
+	}, nil)
+	var restletErr *RestletError
+	if errors.As(err, &restletErr) {
+		writeFieldErrors(w, restletErr.Errors)
+		return
+	}
+	if err != nil {
+		writeError(w, http.StatusBadGateway, err.Error())
+		return
+	}
+
+	w.Header().Set("Content-Type", "application/json")
+	w.Write(payload)
+}
+
+func (s *Server) handleDuplicates(w http.ResponseWriter, r *http.Request) {
+	if s.netsuite == nil {
+		writeError(w, http.StatusServiceUnavailable, "NetSuite restlet is not configured yet.")
+		return
+	}
+
+	itemIDs := r.URL.Query().Get("itemIds")
+	location := strings.TrimSpace(r.URL.Query().Get("location"))
+	if strings.TrimSpace(itemIDs) == "" || location == "" {
+		writeError(w, http.StatusBadRequest, "itemIds and location are required")
+		return
+	}
+
+	payload, err := s.netsuite.Call(r.Context(), http.MethodGet, map[string]string{
+		"action":    "possibleDuplicates",
+		"itemIds":   itemIDs,
+		"location":  location,
+		"excludeId": strings.TrimSpace(r.URL.Query().Get("excludeId")),
+	}, nil)
+	var restletErr *RestletError
+	if errors.As(err, &restletErr) {
+		writeFieldErrors(w, restletErr.Errors)
+		return
+	}
+	if err != nil {
+		writeError(w, http.StatusBadGateway, err.Error())
+		return
+	}
+
+	w.Header().Set("Content-Type", "application/json")
+	w.Write(payload)
+}
+
+func (s *Server) handleOrderTracking(w http.ResponseWriter, r *http.Request) {
+	if s.netsuite == nil {
+		writeError(w, http.StatusServiceUnavailable, "NetSuite restlet is not configured yet.")
+		return
+	}
+
+	poID := strings.TrimSpace(r.URL.Query().Get("poId"))
+	employeeID := strings.TrimSpace(r.URL.Query().Get("employeeId"))
+	if poID == "" || employeeID == "" {
+		writeError(w, http.StatusBadRequest, "poId and employeeId are required")
+		return
+	}
+
+	payload, err := s.netsuite.Call(r.Context(), http.MethodGet, map[string]string{
+		"action":     "orderTracking",
+		"poId":       poID,
+		"employeeId": employeeID,
+	}, nil)
+	var restletErr *RestletError
+	if errors.As(err, &restletErr) {
+		writeFieldErrors(w, restletErr.Errors)
+		return
+	}
+	if err != nil {
+		writeError(w, http.StatusBadGateway, err.Error())
+		return
+	}
+
+	w.Header().Set("Content-Type", "application/json")
+	w.Write(payload)
+}
+
+func (s *Server) handleRequisition(w http.ResponseWriter, r *http.Request) {
+	if s.netsuite == nil {
+		writeError(w, http.StatusServiceUnavailable, "NetSuite restlet is not configured yet.")
+		return
+	}
+
+	id := strings.TrimSpace(r.URL.Query().Get("id"))
+	employeeID := strings.TrimSpace(r.URL.Query().Get("employeeId"))
+	if id == "" || employeeID == "" {
+		writeError(w, http.StatusBadRequest, "id and employeeId are required")
+		return
+	}
+
+	payload, err := s.netsuite.Call(r.Context(), http.MethodGet, map[string]string{
+		"action":     "requisition",
+		"id":         id,
+		"employeeId": employeeID,
+	}, nil)
+	var restletErr *RestletError
+	if errors.As(err, &restletErr) {
+		writeFieldErrors(w, restletErr.Errors)
+		return
+	}
+	if err != nil {
+		writeError(w, http.StatusBadGateway, err.Error())
+		return
+	}
+
+	w.Header().Set("Content-Type", "application/json")
+	w.Write(payload)
+}
+
+func (s *Server) handleCancelRequisition(w http.ResponseWriter, r *http.Request) {
+	if s.netsuite == nil {
+		writeError(w, http.StatusServiceUnavailable, "NetSuite restlet is not configured yet.")
+		return
+	}
+	if r.Method != http.MethodPost {
+		writeError(w, http.StatusMethodNotAllowed, "POST required")
+		return
+	}
+
+	if err := r.ParseForm(); err != nil {
+		writeError(w, http.StatusBadRequest, "invalid form submission")
+		return
+	}
+
+	id := strings.TrimSpace(r.FormValue("id"))
+	requestorID := strings.TrimSpace(r.FormValue("requestorId"))
+	if id == "" || requestorID == "" {
+		writeError(w, http.StatusBadRequest, "id and requestorId are required")
+		return
+	}
+
+	payload, err := s.netsuite.Call(r.Context(), http.MethodPost, nil, map[string]string{
+		"action":      "cancelRequisition",
+		"id":          id,
+		"requestorId": requestorID,
+	})
+	var restletErr *RestletError
+	if errors.As(err, &restletErr) {
+		writeFieldErrors(w, restletErr.Errors)
+		return
+	}
+	if err != nil {
+		writeError(w, http.StatusBadGateway, err.Error())
+		return
+	}
+
+	var response struct {
+		TranID string `json:"tranId"`
+	}
+	_ = json.Unmarshal(payload, &response)
+
+	w.Header().Set("Content-Type", "text/html; charset=utf-8")
+	io.WriteString(w, fmt.Sprintf(`<div class="status status-success">%s</div>`, template.HTMLEscapeString(fmt.Sprintf("Requisition %s cancelled.", response.TranID))))
+}
+
 func (s *Server) handleRequests(w http.ResponseWriter, r *http.Request) {
 	if s.netsuite == nil {
 		writeError(w, http.StatusServiceUnavailable, "NetSuite restlet is not configured yet.")
@@ -411,23 +857,235 @@ func (s *Server) handleRequests(w http.ResponseWriter, r *http.Request) {
 		return
 	}
 
-	payload, err := s.netsuite.Call(r.Context(), http.MethodGet, map[string]string{
+	params := map[string]string{
 		"action":     "requests",
 		"employeeId": employeeID,
+	}
+	for _, key := range []string{"startDate", "endDate", "pageSize", "page"} {
+		if value := strings.TrimSpace(r.URL.Query().Get(key)); value != "" {
+			params[key] = value
+		}
+	}
+
+	payload, err := s.netsuite.Call(r.Context(), http.MethodGet, params, nil)
+	var restletErr *RestletError
+	if errors.As(err, &restletErr) {
+		writeFieldErrors(w, restletErr.Errors)
+		return
+	}
+	if err != nil {
+		writeError(w, http.StatusBadGateway, err.Error())
+		return
+	}
+
+	var page RequisitionPage
+	if err := json.Unmarshal(payload, &page); err != nil {
+		log.Printf("JSON unmarshal error: %v, payload: %s", err, string(payload[:min(500, len(payload))]))
+		writeError(w, http.StatusBadGateway, "invalid response from NetSuite")
+		return
+	}
+
+	data := TemplateData{Requests: groupRequisitionLines(page.Results), Total: page.Total}
+	if page.Page*page.PageSize < page.Total {
+		next := r.URL.Query()
+		next.Set("page", strconv.Itoa(page.Page+1))
+		next.Set("pageSize", strconv.Itoa(page.PageSize))
+		data.MoreURL = "/api/requests?" + next.Encode()
+	}
+
+	// Later pages are appended in place of the "Load more" button
+	if page.Page > 1 {
+		s.renderPartial(w, "requests_rows", data)
+		return
+	}
+	s.renderPartial(w, "requests_list", data)
+}
+
+// Editable mirrors the RESTlet's edit rules closely enough to decide which actions to offer;
+// the RESTlet still has the final say
+func (g RequisitionGroup) Editable() bool {
+	status := strings.ToLower(g.Status)
+	if !strings.Contains(status, "pending approval") && !strings.Contains(status, "rejected") {
+		return false
+	}
+	for _, line := range g.Lines {
+		if line.PONumber != "" {
+			return false
+		}
+	}
+	return true
+}
+
+// PendingApproval is a requisition waiting on the selected approver
+type PendingApproval struct {
+	ID        string         `json:"id"`
+	TranID    string         `json:"tranId"`
+	TranDate  string         `json:"tranDate"`
+	Requestor string         `json:"requestor"`
+	Memo      string         `json:"memo"`
+	Total     float64        `json:"total"`
+	Currency  string         `json:"currency"`
+	Lines     []ApprovalLine `json:"lines"`
+}
+
+type ApprovalLine struct {
+	ItemName   string  `json:"itemName"`
+	VendorName string  `json:"vendorName"`
+	Quantity   float64 `json:"quantity"`
+	Amount     float64 `json:"amount"`
+}
+
+// groupRequisitionLines groups lines under their requisition, keeping search order
+func groupRequisitionLines(lines []RequisitionLine) []RequisitionGroup {
+	var groups []RequisitionGroup
+	index := make(map[string]int)
+	for _, line := range lines {
+		i, ok := index[line.ID]
+		if !ok {
+			i = len(groups)
+			index[line.ID] = i
+			groups = append(groups, RequisitionGroup{
+				ID:             line.ID,
+				TranDate:       line.TranDate,
+				TranID:         line.TranID,
+				Status:         line.Status,
+				ApprovalStatus: line.ApprovalStatus,
+				NextApprover:   line.NextApprover,
+				Total:          line.Total,
+				Currency:       line.Currency,
+			})
+		}
+		groups[i].Lines = append(groups[i].Lines, line)
+	}
+	return groups
+}
+
+func (s *Server) handleApprovals(w http.ResponseWriter, r *http.Request) {
+	if s.netsuite == nil {
+		writeError(w, http.StatusServiceUnavailable, "NetSuite restlet is not configured yet.")
+		return
+	}
+
+	approverID := strings.TrimSpace(r.URL.Query().Get("approverId"))
+	if approverID == "" {
+		writeError(w, http.StatusBadRequest, "approverId is required")
+		return
+	}
+
+	payload, err := s.netsuite.Call(r.Context(), http.MethodGet, map[string]string{
+		"action":     "pendingApprovals",
+		"approverId": approverID,
 	}, nil)
+	var restletErr *RestletError
+	if errors.As(err, &restletErr) {
+		writeFieldErrors(w, restletErr.Errors)
+		return
+	}
 	if err != nil {
 		writeError(w, http.StatusBadGateway, err.Error())
 		return
 	}
 
-	var lines []RequisitionLine
-	if err := json.Unmarshal(payload, &lines); err != nil {
+	var approvals []PendingApproval
+	if err := json.Unmarshal(payload, &approvals); err != nil {
 		log.Printf("JSON unmarshal error: %v, payload: %s", err, string(payload[:min(500, len(payload))]))
 		writeError(w, http.StatusBadGateway, "invalid response from NetSuite")
 		return
 	}
 
-	s.renderPartial(w, "requests_list", TemplateData{Requests: lines})
+	s.renderPartial(w, "approvals_list", TemplateData{Approvals: approvals})
+}
+
+// handleRequestVendor asks procurement for a vendor that isn't in NetSuite yet
+// and returns the pending vendor as JSON.
+func (s *Server) handleRequestVendor(w http.ResponseWriter, r *http.Request) {
+	if s.netsuite == nil {
+		writeError(w, http.StatusServiceUnavailable, "NetSuite restlet is not configured yet.")
+		return
+	}
+	if r.Method != http.MethodPost {
+		writeError(w, http.StatusMethodNotAllowed, "POST required")
+		return
+	}
+
+	if err := r.ParseForm(); err != nil {
+		writeError(w, http.StatusBadRequest, "invalid form submission")
+		return
+	}
+
+	body := map[string]string{"action": "requestVendor"}
+	for _, key := range []string{"requestorId", "subsidiary", "name", "taxId", "email", "phone", "website"} {
+		body[key] = strings.TrimSpace(r.FormValue(key))
+	}
+	if body["requestorId"] == "" {
+		writeError(w, http.StatusBadRequest, "requestorId is required")
+		return
+	}
+
+	payload, err := s.netsuite.Call(r.Context(), http.MethodPost, nil, body)
+	var restletErr *RestletError
+	if errors.As(err, &restletErr) {
+		writeFieldErrors(w, restletErr.Errors)
+		return
+	}
+	if err != nil {
+		writeError(w, http.StatusBadGateway, err.Error())
+		return
+	}
+
+	w.Header().Set("Content-Type", "application/json")
+	w.Write(payload)
+}
+
+func (s *Server) handleDecide(w http.ResponseWriter, r *http.Request) {
+	if s.netsuite == nil {
+		writeError(w, http.StatusServiceUnavailable, "NetSuite restlet is not configured yet.")
+		return
+	}
+	if r.Method != http.MethodPost {
+		writeError(w, http.StatusMethodNotAllowed, "POST required")
+		return
+	}
+
+	if err := r.ParseForm(); err != nil {
+		writeError(w, http.StatusBadRequest, "invalid form submission")
+		return
+	}
+
+	body := map[string]string{
+		"action":     "decide",
+		"id":         strings.TrimSpace(r.FormValue("id")),
+		"approverId": strings.TrimSpace(r.FormValue("approverId")),
+		"decision":   strings.TrimSpace(r.FormValue("decision")),
+		"reason":     strings.TrimSpace(r.FormValue("reason")),
+	}
+	if body["id"] == "" || body["approverId"] == "" {
+		writeError(w, http.StatusBadRequest, "id and approverId are required")
+		return
+	}
+
+	payload, err := s.netsuite.Call(r.Context(), http.MethodPost, nil, body)
+	var restletErr *RestletError
+	if errors.As(err, &restletErr) {
+		writeFieldErrors(w, restletErr.Errors)
+		return
+	}
+	if err != nil {
+		writeError(w, http.StatusBadGateway, err.Error())
+		return
+	}
+
+	var response struct {
+		TranID string `json:"tranId"`
+	}
+	_ = json.Unmarshal(payload, &response)
+
+	verb := "approved"
+	if body["decision"] == "reject" {
+		verb = "rejected"
+	}
+	w.Header().Set("Content-Type", "text/html; charset=utf-8")
+	io.WriteString(w, fmt.Sprintf(`<div class="status status-success">%s</div>`, template.HTMLEscapeString(fmt.Sprintf("Requisition %s %s.", response.TranID, verb))))
 }
 
 func (s *Server) renderPage(w http.ResponseWriter, name string, data TemplateData) {
@@ -457,7 +1115,9 @@ func (s *Server) renderPartial(w http.ResponseWriter, name string, data Template
 func statusToClass(status string) string {
 	s := strings.ToLower(status)
 	switch {
-	case strings.Contains(s, "approved"):
+	case strings.Contains(s, "rejected"), strings.Contains(s, "cancelled"):
+		return "badge-rejected"
+	case strings.Contains(s, "approved"), strings.Contains(s, "pending order"):
 		return "badge-approved"
 	case strings.Contains(s, "converted"), strings.Contains(s, "closed"), strings.Contains(s, "ordered"):
 		return "badge-converted"
@@ -466,12 +1126,31 @@ func statusToClass(status string) string {
 	}
 }
 
+// formatMoney shows an amount in the transaction's currency (its ISO code, as
+// the form uses), falling back to "$" when NetSuite didn't say
+func formatMoney(amount float64, currency string) string {
+	if currency == "" {
+		return fmt.Sprintf("$%.2f", amount)
+	}
+	return fmt.Sprintf("%s %.2f", currency, amount)
+}
 
 func writeError(w http.ResponseWriter, status int, message string) {
 	w.WriteHeader(status)
 	io.WriteString(w, fmt.Sprintf(`<div class="status status-error">%s</div>`, template.HTMLEscapeString(message)))
 }
 
+// writeFieldErrors answers with the same {ok:false, errors} body the RESTlet uses,
+// so the form can place each message next to its field
+func writeFieldErrors(w http.ResponseWriter, fieldErrors []FieldError) {
+	w.Header().Set("Content-Type", "application/json")
+	w.WriteHeader(http.StatusUnprocessableEntity)
+	json.NewEncoder(w).Encode(map[string]interface{}{
+		"ok":     false,
+		"errors": fieldErrors,
+	})
+}
+
 type NetSuiteClient struct {
 	accountID      string
 	realm          string
@@ -566,10 +1245,31 @@ func (c *NetSuiteClient) Call(ctx context.Context, method string, params map[str
 		return nil, fmt.Errorf("NetSuite error (%d): %s", resp.StatusCode, strings.TrimSpace(string(responseBody)))
 	}
 
+	if restletErr := parseRestletError(responseBody); restletErr != nil {
+		log.Printf("NetSuite rejected: action=%s errors=%s", params["action"], restletErr.Error())
+		return nil, restletErr
+	}
+
 	log.Printf("NetSuite success: action=%s items=%d", params["action"], len(responseBody))
 	return responseBody, nil
 }
 
+// parseRestletError returns the structured errors in a {ok:false, errors:[...]} body, or nil
+func parseRestletError(body []byte) *RestletError {
+	trimmed := strings.TrimSpace(string(body))
+	if !strings.HasPrefix(trimmed, "{") {
+		return nil
+	}
+	var envelope struct {
+		OK     *bool        `json:"ok"`
+		Errors []FieldError `json:"errors"`
+	}
+	if err := json.Unmarshal([]byte(trimmed), &envelope); err != nil || envelope.OK == nil || *envelope.OK {
+		return nil
+	}
+	return &RestletError{Errors: envelope.Errors}
+}
+
 func (c *NetSuiteClient) oauthHeader(method string, requestURL *url.URL, body []byte) string {
 	timestamp := fmt.Sprintf("%d", time.Now().Unix())
 	nonce := randomNonce(32)
@@ -2,52 +2,299 @@
  * @NApiVersion 2.1
  * @NScriptType Restlet
  */
-define(["N/search", "N/record", "N/task"], (search, record, task) => {
-  const MAX = 1000, first = v => Array.isArray(v) ? v[0] || "" : v || "";
-  const runSearch = (type, filters, columns, fn) => { const r = []; search.create({ type, filters, columns }).run().each(x => r.length < MAX ? (r.push(fn(x)), true) : false); return r; };
+define(["N/search", "N/record", "N/task", "N/file", "N/runtime", "N/log"], (search, record, task, file, runtime, log) => {
+  const first = v => Array.isArray(v) ? v[0] || "" : v || "";
+  const runSearch = (type, filters, columns, fn) => { const r = [], max = config("maxResults"); search.create({ type, filters, columns }).run().each(x => r.length < max ? (r.push(fn(x)), true) : false); return r; };
+  const runPaged = (type, filters, columns, { pageSize, page }, fn) => {
+    const size = Math.min(1000, Math.max(5, Number(pageSize) || 50)), index = Math.max(1, Math.floor(Number(page)) || 1) - 1;
+    const paged = search.create({ type, filters, columns }).runPaged({ pageSize: size });
+    return { total: paged.count, page: index + 1, pageSize: size, results: index < paged.pageRanges.length ? paged.fetch({ index }).data.map(fn) : [] };
+  };
+  const nsDate = d => `${d.getDate()}/${d.getMonth() + 1}/${d.getFullYear()}`;
+  const parseDate = (v, name) => { const d = new Date(`${v}T00:00:00`); if (!/^\d{4}-\d{2}-\d{2}$/.test(v) || isNaN(d)) fail("INVALID", `${name} must be YYYY-MM-DD`, name); return d; };
+
+  // Errors the caller can act on carry { line, field, code, message } entries and are returned as { ok: false, errors }
+  const invalid = errors => Object.assign(new Error(errors.map(e => e.message).join("; ")), { errors });
+  const fail = (code, message, field, line) => { throw invalid([{ line, field, code, message }]); };
+  const isTrue = v => v === true || v === "T";
+  const APPROVAL = { PENDING: "1", APPROVED: "2", REJECTED: "3" };
+  // Pending supervisor approval, pending receipt, partially received, pending billing/partially received
+  const OPEN_PO_STATUSES = ["PurchOrd:A", "PurchOrd:B", "PurchOrd:D", "PurchOrd:E"];
+  const fromNsDate = v => { const [d, m, y] = String(v || "").split("/").map(Number); return y ? isoDate(new Date(y, m - 1, d)) : ""; };
+  const isoDate = d => d instanceof Date ? [d.getFullYear(), d.getMonth() + 1, d.getDate()].map(n => String(n).padStart(2, "0")).join("-") : d || "";
+
+  // Deployment parameters, so sandbox and production differ only in configuration. Blank means the default;
+  // a value that fails its check is logged and throws rather than quietly falling back.
+  const asList = v => String(v).split(",").map(x => x.trim()).filter(Boolean);
+  const asInt = (min, max) => v => { const n = Number(v); return Number.isInteger(n) && n >= min && n <= max ? n : undefined; };
+  const asId = v => /^\d+$/.test(String(v).trim()) ? String(v).trim() : undefined;
+  const asIds = v => asList(v).every(x => /^\d+$/.test(x)) ? asList(v) : undefined;
+  const asFieldId = prefix => v => new RegExp(`^${prefix}\\w+$`).test(String(v).trim()) ? String(v).trim() : undefined;
+  const asFieldList = v => asList(v).every(f => /^[a-z]\w*\*?$/.test(f)) ? asList(v) : undefined;
+  // JSON list of { amount, message }, e.g. [{"amount":5000,"message":"Requires director approval"}]
+  const asThresholds = v => { try { const t = JSON.parse(v); return Array.isArray(t) && t.every(x => Number(x?.amount) > 0 && typeof x.message === "string") ? t.map(x => ({ amount: Number(x.amount), message: x.message })).sort((a, b) => a.amount - b.amount) : undefined; } catch (e) { return undefined; } };
+  const SETTINGS = {
+    workflowId: ["custscript_genia_workflow_id", "949", asId],
+    maxResults: ["custscript_genia_max_results", 1000, asInt(1, 4000)],
+    lookbackMonths: ["custscript_genia_lookback_months", 2, asInt(1, 36)],
+    attachmentFolder: ["custscript_genia_attachment_folder", "", asId],
+    // A free-form text body field on the requisition; it has to exist in the account or every create fails (see netsuite/README.md)
+    idempotencyField: ["custscript_genia_idempotency_field", "custbody_genia_idempotency_key", asFieldId("custbody_")],
+    rejectionReasonField: ["custscript_genia_rejection_field", "custbody_genia_rejection_reason", asFieldId("custbody_")],
+    // What the form sends; add custom fields by id, or a prefix with a trailing * (control fields stay off-limits either way)
+    headerFields: ["custscript_genia_header_fields", ["memo", "duedate", "department", "class"], asFieldList],
+    lineFields: ["custscript_genia_line_fields", ["expectedreceiptdate", "department", "class"], asFieldList],
+    // The PO bridge's poke field, set to match that script's deployment so the app can never write it
+    bridgePokeField: ["custscript_genia_bridge_poke_field", "custbody_altas_anz_so_po_notes", asFieldId("custbody_")],
+    excludedLocationIds: ["custscript_genia_excluded_locations", ["8"], asIds],
+    defaultSubsidiary: ["custscript_genia_default_subsidiary", "1", asId],
+    spendThresholds: ["custscript_genia_spend_thresholds", [], asThresholds],
+    // How far back a requisition or PO for the same item and location counts as a possible duplicate
+    duplicateWindowDays: ["custscript_genia_duplicate_window_days", 7, asInt(1, 90)],
+    // Quick-add shortcuts: how many items, ranked over how many months of requisitions
+    frequentItemsLimit: ["custscript_genia_frequent_items_limit", 24, asInt(1, 100)],
+    frequentItemsMonths: ["custscript_genia_frequent_items_months", 12, asInt(1, 36)],
+    // Optional: a checkbox on requested vendors and a line column holding the pending vendor, for procurement's saved searches
+    vendorPendingField: ["custscript_genia_vendor_pending_field", "", asFieldId("custentity_")],
+    pendingVendorLineField: ["custscript_genia_pending_vendor_line_field", "", asFieldId("custcol_")]
+  };
+  const settings = {};
+  const config = key => {
+    if (key in settings) return settings[key];
+    const [name, fallback, parse] = SETTINGS[key], raw = runtime.getCurrentScript().getParameter({ name });
+    if (raw == null || String(raw).trim() === "") return (settings[key] = fallback);
+    const value = parse(raw);
+    if (value === undefined) { log.error({ title: "CONFIG_INVALID", details: `${name}=${raw}` }); throw new Error(`Script parameter ${name} is invalid: ${raw}`); }
+    return (settings[key] = value);
+  };
+
+  // ISO code of a subsidiary's base currency, for formatting amounts in the web app
+  const subsidiaryCurrency = id => { const c = first(search.lookupFields({ type: "subsidiary", id, columns: ["currency"] }).currency); return c ? search.lookupFields({ type: "currency", id: c.value, columns: ["symbol"] }).symbol || "" : ""; };
+  const limit = v => v === "" || v == null ? null : Number(v);
+  // Lists for one subsidiary when the app names one; vendors shared across subsidiaries match through msesubsidiary
+  const forSubsidiary = (filters, subsidiary, field = "subsidiary") => {
+    if (!subsidiary) return filters;
+    if (!asId(subsidiary)) fail("INVALID", "subsidiary must be an internal id", "subsidiary");
+    return [...filters, "AND", [field, "anyof", asId(subsidiary)]];
+  };
+
+  // Bulk import sends its lookups as JSON arrays; matching is exact (case-insensitive, as NetSuite's "is" is)
+  const MAX_LOOKUPS = 500;
+  const jsonList = (v, name) => {
+    let list; try { list = JSON.parse(v || "[]"); } catch (e) { list = null; }
+    if (!Array.isArray(list)) fail("INVALID", `${name} must be a JSON array`, name);
+    if (list.length > MAX_LOOKUPS) fail("TOO_MANY", `${name} is limited to ${MAX_LOOKUPS} entries`, name);
+    return [...new Set(list.map(x => String(x).trim()).filter(Boolean))];
+  };
+  const anyIs = (fields, values) => values.flatMap(v => fields.map(f => [f, "is", v])).flatMap((f, i) => i ? ["OR", f] : [f]);
+  const anyContains = (fields, q) => fields.map(f => [f, "contains", q]).flatMap((f, i) => i ? ["OR", f] : [f]);
+  const inChunks = (values, size, fn) => { for (let i = 0; i < values.length; i += size) fn(values.slice(i, i + size)); };
+
+  const headerFields = () => config("headerFields");
+  const lineFields = () => config("lineFields");
+  // Fields the scripts themselves keep (replay key, rejection reason, bridge trigger, pending vendor) are never client-writable
+  const controlFields = () => ["idempotencyField", "rejectionReasonField", "bridgePokeField", "pendingVendorLineField"].map(config).filter(Boolean);
+  const fieldAllowed = (allowed, f) => !controlFields().includes(f) && allowed.some(a => a.endsWith("*") ? f.startsWith(a.slice(0, -1)) : a === f);
+  const fieldValue = v => /^\d{4}-\d{2}-\d{2}$/.test(v) ? parseDate(v) : v;
+  const headerValues = ({ memo, fields }) => ({ ...(memo && { memo }), ...fields });
 
   const getHandlers = {
-    employees: () => runSearch("employee", [["isinactive", "is", "F"]], ["internalid", "firstname", "lastname", "email"],
-      r => ({ id: r.getValue("internalid"), name: `${r.getValue("firstname") || ""} ${r.getValue("lastname") || ""}`.trim() || r.getValue("email") || r.getValue("internalid"), email: r.getValue("email") || "" })),
+    // Only the values the web app needs; everything else stays server-side
+    config: () => ({ excludedLocationIds: config("excludedLocationIds"), defaultSubsidiary: config("defaultSubsidiary"), lookbackMonths: config("lookbackMonths"),
+      spendThresholds: config("spendThresholds"), currency: subsidiaryCurrency(config("defaultSubsidiary")) }),
+
+    // Blank limits on the employee record mean no limit and come back as null
+    purchaseLimits: ({ employeeId }) => {
+      if (!employeeId) fail("REQUIRED", "employeeId required", "employeeId");
+      const emp = search.lookupFields({ type: "employee", id: employeeId, columns: ["purchaseorderlimit", "purchaseorderapprovallimit"] });
+      return { purchaseLimit: limit(emp.purchaseorderlimit), approvalLimit: limit(emp.purchaseorderapprovallimit) };
+    },
+
+    // The selected employee's subsidiary scopes the rest of the form, so each carries it with its currency and their default location
+    employees: () => {
+      const currencies = {}, currency = id => id in currencies ? currencies[id] : (currencies[id] = subsidiaryCurrency(id));
+      return runSearch("employee", [["isinactive", "is", "F"]], ["internalid", "firstname", "lastname", "email", "subsidiary", "location"], r => ({ id: r.getValue("internalid"),
+        name: `${r.getValue("firstname") || ""} ${r.getValue("lastname") || ""}`.trim() || r.getValue("email") || r.getValue("internalid"), email: r.getValue("email") || "",
+        subsidiary: r.getValue("subsidiary") || "", location: r.getValue("location") || "", currency: r.getValue("subsidiary") ? currency(r.getValue("subsidiary")) : "" }));
+    },
+
+    locations: ({ subsidiary }) => runSearch("location", forSubsidiary([["isinactive", "is", "F"]], subsidiary), ["internalid", "name"], r => ({ id: r.getValue("internalid"), name: r.getValue("name") })),
 
-    locations: () => runSearch("location", [["isinactive", "is", "F"]], ["internalid", "name"], r => ({ id: r.getValue("internalid"), name: r.getValue("name") })),
+    departments: () => runSearch("department", [["isinactive", "is", "F"]], ["internalid", "name"], r => ({ id: r.getValue("internalid"), name: r.getValue("name") })),
 
-    vendors: ({ q }) => q?.length >= 2 ? runSearch("vendor", [["isinactive", "is", "F"], "AND", ["entityid", "contains", q]], ["internalid", "entityid"],
-      r => ({ id: r.getValue("internalid"), name: r.getValue("entityid"), code: r.getValue("entityid") })) : [],
+    classes: () => runSearch("classification", [["isinactive", "is", "F"]], ["internalid", "name"], r => ({ id: r.getValue("internalid"), name: r.getValue("name") })),
 
-    items: ({ q }) => q?.length >= 2 ? runSearch("noninventoryitem", [["isinactive", "is", "F"], "AND", [["itemid", "contains", q], "OR", ["displayname", "contains", q]]], ["internalid", "itemid", "displayname", "description"],
+    vendors: ({ q, subsidiary }) => q?.length >= 2 ? runSearch("vendor", forSubsidiary([["isinactive", "is", "F"], "AND", anyContains(["entityid", "companyname", "email", "phone"], q)], subsidiary, "msesubsidiary.internalid"), ["internalid", "entityid", "companyname", "email"],
+      r => ({ id: r.getValue("internalid"), name: r.getValue("companyname") || r.getValue("entityid"), code: r.getValue("entityid"), email: r.getValue("email") || "" })) : [],
+
+    items: ({ q, subsidiary }) => q?.length >= 2 ? runSearch("noninventoryitem", forSubsidiary([["isinactive", "is", "F"], "AND", [["itemid", "contains", q], "OR", ["displayname", "contains", q]]], subsidiary), ["internalid", "itemid", "displayname", "description"],
       r => ({ id: r.getValue("internalid"), name: r.getValue("displayname") || r.getValue("itemid"), sku: r.getValue("itemid"), description: r.getValue("description") || "" })) : [],
 
+    // Keys are the submitted values lower-cased; anything without a key in the result did not match
+    lookupItems: ({ skus, vendorNames, subsidiary }) => {
+      const items = {}, vendors = {};
+      inChunks(jsonList(skus, "skus"), 100, chunk => runSearch("noninventoryitem", forSubsidiary([["isinactive", "is", "F"], "AND", anyIs(["itemid"], chunk)], subsidiary), ["internalid", "itemid", "displayname", "description"],
+        r => (items[r.getValue("itemid").toLowerCase()] = { id: r.getValue("internalid"), name: r.getValue("displayname") || r.getValue("itemid"), sku: r.getValue("itemid"), description: r.getValue("description") || "" })));
+      const names = jsonList(vendorNames, "vendorNames"), wanted = new Set(names.map(n => n.toLowerCase()));
+      inChunks(names, 50, chunk => runSearch("vendor", forSubsidiary([["isinactive", "is", "F"], "AND", anyIs(["entityid", "companyname"], chunk)], subsidiary, "msesubsidiary.internalid"), ["internalid", "entityid", "companyname"], r => {
+        const vendor = { id: r.getValue("internalid"), name: r.getValue("entityid") };
+        [r.getValue("entityid"), r.getValue("companyname")].filter(n => n && wanted.has(n.toLowerCase())).forEach(n => (vendors[n.toLowerCase()] = vendor));
+      }));
+      return { items, vendors };
+    },
+
+    // The sublist's purchaseprice is often stale, so each vendor also carries what we last paid and the 12-month average
     itemVendors: ({ itemId }) => {
-      if (!itemId) throw new Error("itemId required");
+      if (!itemId) fail("REQUIRED", "itemId required", "itemId");
       const rec = record.load({ type: "noninventoryitem", id: itemId, isDynamic: false }), n = rec.getLineCount({ sublistId: "itemvendor" });
-      return [...Array(n)].map((_, i) => ({ id: rec.getSublistValue({ sublistId: "itemvendor", fieldId: "vendor", line: i }), name: rec.getSublistText({ sublistId: "itemvendor", fieldId: "vendor", line: i }), purchasePrice: Number(rec.getSublistValue({ sublistId: "itemvendor", fieldId: "purchaseprice", line: i }) || 0) }));
+      const vendors = [...Array(n)].map((_, i) => ({ id: rec.getSublistValue({ sublistId: "itemvendor", fieldId: "vendor", line: i }), name: rec.getSublistText({ sublistId: "itemvendor", fieldId: "vendor", line: i }), purchasePrice: Number(rec.getSublistValue({ sublistId: "itemvendor", fieldId: "purchaseprice", line: i }) || 0) }));
+      const history = priceHistory(itemId, vendors.map(v => v.id));
+      return vendors.map(v => ({ ...v, lastPrice: null, lastDate: "", averagePrice: null, purchaseCount: 0, ...history[v.id] }));
+    },
+
+    requests: ({ employeeId, startDate, endDate, pageSize, page }) => {
+      if (!employeeId) fail("REQUIRED", "employeeId required", "employeeId");
+      const from = startDate ? parseDate(startDate, "startDate") : (d => (d.setMonth(d.getMonth() - config("lookbackMonths")), d))(new Date());
+      const filters = [["mainline", "is", "F"], "AND", ["entity", "anyof", employeeId], "AND", ["trandate", "onorafter", nsDate(from)]];
+      endDate && filters.push("AND", ["trandate", "onorbefore", nsDate(parseDate(endDate, "endDate"))]);
+      const columns = [search.createColumn({ name: "trandate", sort: search.Sort.DESC }), search.createColumn({ name: "internalid", sort: search.Sort.DESC }), "tranid", "status", "approvalstatus", "nextapprover", "total", "item", "amount", "povendor", search.createColumn({ name: "companyname", join: "povendor" }), "linkedorder", search.createColumn({ name: "symbol", join: "currency" })];
+
+      return runPaged("purchaserequisition", filters, columns, { pageSize, page }, r => {
+        const [day, mon] = (r.getValue("trandate") || "").split("/");
+        return { id: r.getValue("internalid"), tranDate: day && mon ? `${day}/${mon}` : "", tranId: r.getValue("tranid"), status: r.getText("status") || "", approvalStatus: r.getText("approvalstatus") || "", nextApprover: r.getText("nextapprover") || "", total: Number(r.getValue("total") || 0),
+          itemName: r.getText("item"), amount: Number(r.getValue("amount") || 0), vendorId: r.getValue("povendor") || "", vendorName: r.getValue({ name: "companyname", join: "povendor" }) || r.getText("povendor") || "", poNumber: first((r.getText("linkedorder") || "").split(",")), poId: first((r.getValue("linkedorder") || "").split(",")).trim(), currency: r.getValue({ name: "symbol", join: "currency" }) || "" };
+      });
     },
 
-    requests: ({ employeeId }) => {
-      if (!employeeId) throw new Error("employeeId required");
-      const d = new Date(); d.setMonth(d.getMonth() - 2);
-      const reqs = runSearch("purchaserequisition", [["mainline", "is", "T"], "AND", ["entity", "anyof", employeeId], "AND", ["trandate", "onorafter", `${d.getDate()}/${d.getMonth()+1}/${d.getFullYear()}`]],
-        ["internalid", "trandate", "tranid"], r => ({ id: r.getValue("internalid"), tranDate: r.getValue("trandate"), tranId: r.getValue("tranid") }));
-      if (!reqs.length) return [];
-
-      const vendorIds = new Set(), lineData = reqs.flatMap(req => {
-        const rec = record.load({ type: "purchaserequisition", id: req.id, isDynamic: false }), n = rec.getLineCount({ sublistId: "item" });
-        return [...Array(n)].map((_, i) => {
-          const vid = rec.getSublistValue({ sublistId: "item", fieldId: "povendor", line: i }); vid && vendorIds.add(vid);
-          const [day, mon] = (req.tranDate || "").split("/");
-          return { tranDate: day && mon ? `${day}/${mon}` : "", tranId: req.tranId, itemName: rec.getSublistText({ sublistId: "item", fieldId: "item", line: i }), vendorId: vid || "", vendorName: "", poNumber: first(rec.getSublistText({ sublistId: "item", fieldId: "linkedorder", line: i })) };
+    // Only for requestors whose requisitions the PO was raised from
+    orderTracking: ({ poId, employeeId }) => {
+      if (!poId || !employeeId) fail("REQUIRED", "poId and employeeId required", poId ? "employeeId" : "poId");
+      // linkedorder is a line field, so this matches lines and each requisition appears once per linked line
+      const requisitions = [...new Map(runSearch("purchaserequisition", [["mainline", "is", "F"], "AND", ["entity", "anyof", employeeId], "AND", ["linkedorder", "anyof", poId]], ["internalid", "tranid", "trandate"],
+        r => [r.getValue("internalid"), { id: r.getValue("internalid"), tranId: r.getValue("tranid"), date: fromNsDate(r.getValue("trandate")) }])).values()];
+      if (!requisitions.length) fail("FORBIDDEN", "This order isn't linked to any of your requisitions", "poId");
+
+      const po = record.load({ type: "purchaseorder", id: poId, isDynamic: false }), n = po.getLineCount({ sublistId: "item" });
+      const value = (fieldId, line) => po.getSublistValue({ sublistId: "item", fieldId, line });
+      const receipts = runSearch("itemreceipt", [["mainline", "is", "T"], "AND", ["createdfrom", "anyof", poId]], [search.createColumn({ name: "trandate", sort: search.Sort.ASC }), "internalid", "tranid"],
+        r => ({ id: r.getValue("internalid"), tranId: r.getValue("tranid"), date: fromNsDate(r.getValue("trandate")) }));
+      const bills = runSearch("vendorbill", [["mainline", "is", "T"], "AND", ["createdfrom", "anyof", poId]], [search.createColumn({ name: "trandate", sort: search.Sort.ASC }), "internalid", "tranid"],
+        r => ({ id: r.getValue("internalid"), tranId: r.getValue("tranid"), date: fromNsDate(r.getValue("trandate")) }));
+      return { id: String(poId), tranId: po.getValue("tranid"), status: po.getText("status") || "", vendorName: po.getText("entity") || "", orderDate: isoDate(po.getValue("trandate")), expectedDate: isoDate(po.getValue("duedate")), requisitions, receipts, bills,
+        lines: [...Array(n)].map((_, i) => ({ itemName: po.getSublistText({ sublistId: "item", fieldId: "item", line: i }), quantity: Number(value("quantity", i) || 0), received: Number(value("quantityreceived", i) || 0), billed: Number(value("quantitybilled", i) || 0),
+          expectedDate: isoDate(value("expectedreceiptdate", i)) })) };
+    },
+
+    pendingApprovals: ({ approverId }) => {
+      if (!approverId) fail("REQUIRED", "approverId required", "approverId");
+      const reqs = new Map();
+      runSearch("purchaserequisition", [["mainline", "is", "F"], "AND", ["approvalstatus", "anyof", APPROVAL.PENDING], "AND", ["nextapprover", "anyof", approverId]],
+        [search.createColumn({ name: "trandate", sort: search.Sort.ASC }), "internalid", "tranid", "entity", "memomain", "total", "item", "quantity", "amount", "povendor", search.createColumn({ name: "symbol", join: "currency" })], r => {
+          const id = r.getValue("internalid");
+          reqs.has(id) || reqs.set(id, { id, tranId: r.getValue("tranid"), tranDate: r.getValue("trandate"), requestor: r.getText("entity") || "", memo: r.getValue("memomain") || "", total: Number(r.getValue("total") || 0),
+            currency: r.getValue({ name: "symbol", join: "currency" }) || "", lines: [] });
+          reqs.get(id).lines.push({ itemName: r.getText("item"), vendorName: r.getText("povendor") || "", quantity: Number(r.getValue("quantity") || 0), amount: Number(r.getValue("amount") || 0) });
+          return null;
         });
+      return [...reqs.values()];
+    },
+
+    requisition: ({ id, employeeId }) => {
+      if (!id || !employeeId) fail("REQUIRED", "id and employeeId required", id ? "employeeId" : "id");
+      const rec = record.load({ type: "purchaserequisition", id, isDynamic: false }), n = rec.getLineCount({ sublistId: "item" });
+      if (String(rec.getValue("entity")) !== String(employeeId)) fail("FORBIDDEN", "This requisition belongs to someone else", "employeeId");
+      const value = (fieldId, line) => rec.getSublistValue({ sublistId: "item", fieldId, line }), text = (fieldId, line) => rec.getSublistText({ sublistId: "item", fieldId, line });
+      const headerIds = rec.getFields().filter(f => fieldAllowed(headerFields(), f)), lineIds = rec.getSublistFields({ sublistId: "item" }).filter(f => fieldAllowed(lineFields(), f));
+      // A requested vendor's line comes back with pendingVendorId and without the note setLines added, so an edit sends it back as it was
+      const pendingLine = i => {
+        const note = splitPendingVendorNote(value("description", i) || ""), column = config("pendingVendorLineField") && value(config("pendingVendorLineField"), i);
+        return column ? { ...note, pendingVendorId: String(column) } : note;
+      };
+      return { id: String(id), tranId: rec.getValue("tranid"), location: rec.getValue("location") || "", editable: !editBlocker(rec, employeeId), fields: Object.fromEntries(headerIds.map(f => [f, isoDate(rec.getValue(f))])),
+        items: [...Array(n)].map((_, i) => {
+          const { pendingVendorId, pendingVendorName, description } = pendingLine(i);
+          return { itemId: value("item", i), itemName: text("item", i), vendorId: value("povendor", i) || "", vendorName: text("povendor", i) || pendingVendorName, pendingVendorId,
+            quantity: Number(value("quantity", i) || 0), rate: Number(value("rate", i) || 0), description, fields: Object.fromEntries(lineIds.map(f => [f, isoDate(value(f, i))])) };
+        }) };
+    },
+
+    // Lines for the same items at the same location that are still open (not yet ordered or received) or were raised within
+    // duplicateWindowDays, so the app can ask before a second order. excludeId leaves out the requisition being edited.
+    possibleDuplicates: ({ itemIds, location, excludeId }) => {
+      if (!location) fail("REQUIRED", "location required", "location");
+      const ids = jsonList(itemIds, "itemIds");
+      if (!ids.length) return [];
+      const since = nsDate((d => (d.setDate(d.getDate() - config("duplicateWindowDays")), d))(new Date()));
+      const lines = [["mainline", "is", "F"], "AND", ["item", "anyof", ids], "AND", ["location", "anyof", location], "AND", ["isclosed", "is", "F"]];
+      const columns = [search.createColumn({ name: "trandate", sort: search.Sort.DESC }), "internalid", "tranid", "entity", "employee", "item", "quantity", "status"];
+      const match = (type, requestorField) => r => ({ type, id: r.getValue("internalid"), tranId: r.getValue("tranid"), date: fromNsDate(r.getValue("trandate")), requestor: r.getText(requestorField) || "",
+        itemId: r.getValue("item"), itemName: r.getText("item"), quantity: Number(r.getValue("quantity") || 0), status: r.getText("status") || "" });
+      const requisitions = runSearch("purchaserequisition", [...lines, "AND", ["approvalstatus", "noneof", APPROVAL.REJECTED], "AND",
+        [["trandate", "onorafter", since], "OR", [["approvalstatus", "anyof", APPROVAL.PENDING, APPROVAL.APPROVED], "AND", ["linkedorder", "anyof", "@NONE@"]]],
+        ...(excludeId ? ["AND", ["internalid", "noneof", excludeId]] : [])], columns, match("purchaserequisition", "entity"));
+      const orders = runSearch("purchaseorder", [...lines, "AND", [["trandate", "onorafter", since], "OR", ["status", "anyof", OPEN_PO_STATUSES]]], columns, match("purchaseorder", "employee"));
+      return [...requisitions, ...orders];
+    },
+
+    // The requestor's most-requested items (everyone's at a location with by=location), ranked by how many requisitions asked for them.
+    // Each carries the vendor it usually went to, the quantity usually asked for and the last estimated price; inactive items are left out.
+    frequentItems: ({ employeeId, location, by = "employee" }) => {
+      if (!["employee", "location"].includes(by)) fail("INVALID", "by must be employee or location", "by");
+      const [field, id] = by === "location" ? ["location", location] : ["employeeId", employeeId];
+      if (!id) fail("REQUIRED", `${field} required`, field);
+      const since = (d => (d.setMonth(d.getMonth() - config("frequentItemsMonths")), d))(new Date());
+      const filters = [["mainline", "is", "F"], "AND", [by === "location" ? "location" : "entity", "anyof", id], "AND", ["approvalstatus", "noneof", APPROVAL.REJECTED], "AND", ["trandate", "onorafter", nsDate(since)]];
+      // Newest first, so the first line seen for an item is its latest and ties go to the more recent
+      const stats = new Map();
+      runSearch("purchaserequisition", filters, [search.createColumn({ name: "trandate", sort: search.Sort.DESC }), search.createColumn({ name: "internalid", sort: search.Sort.DESC }), "item", "povendor", "quantity", "rate"], r => {
+        const itemId = r.getValue("item");
+        if (!itemId) return;
+        if (!stats.has(itemId)) stats.set(itemId, { itemId, itemName: r.getText("item"), lastDate: fromNsDate(r.getValue("trandate")), lastPrice: null, requisitions: new Set(), vendors: new Map(), quantities: new Map() });
+        const item = stats.get(itemId), rate = Number(r.getValue("rate") || 0);
+        item.requisitions.add(r.getValue("internalid"));
+        tally(item.vendors, r.getValue("povendor"), { name: r.getText("povendor") || "" });
+        tally(item.quantities, Number(r.getValue("quantity") || 0) || null, {});
+        if (item.lastPrice === null && rate) item.lastPrice = rate;
       });
+      const itemActive = activeById("item", [...stats.keys()]);
+      const ranked = [...stats.values()].filter(i => itemActive[i.itemId]).sort((a, b) => b.requisitions.size - a.requisitions.size).slice(0, config("frequentItemsLimit"))
+        .map(i => ({ ...i, vendor: mostCommon(i.vendors) || ["", { name: "" }] }));
+      const vendorActive = activeById("vendor", [...new Set(ranked.map(i => i.vendor[0]).filter(Boolean))]);
+      return ranked.map(({ itemId, itemName, vendor: [vendorId, { name }], quantities, lastPrice, lastDate, requisitions }) => ({ itemId, itemName,
+        vendorId: vendorActive[vendorId] ? vendorId : "", vendorName: vendorActive[vendorId] ? name : "", quantity: mostCommon(quantities)?.[0] || 1, lastPrice, lastDate, timesRequested: requisitions.size }));
+    },
 
-      if (vendorIds.size) {
-        const vmap = {}; runSearch("vendor", [["internalid", "anyof", [...vendorIds]]], ["internalid", "companyname", "entityid"], r => { vmap[r.getValue("internalid")] = r.getValue("companyname") || r.getValue("entityid") || ""; return null; });
-        lineData.forEach(l => l.vendorId && (l.vendorName = vmap[l.vendorId] || ""));
-      }
-      return lineData;
+    // A past requisition's lines to start a new one from; anything gone inactive since is flagged, not dropped
+    requisitionLines: ({ id, employeeId }) => {
+      const { tranId, location, items } = getHandlers.requisition({ id, employeeId });
+      const ids = key => [...new Set(items.map(l => l[key]).filter(Boolean))];
+      const itemActive = activeById("item", ids("itemId")), vendorActive = activeById("vendor", ids("vendorId"));
+      return { id: String(id), tranId, location, items: items.map(({ itemId, itemName, vendorId, vendorName, pendingVendorId, quantity, rate, description }) => ({ itemId, itemName, vendorId, vendorName, pendingVendorId, quantity, rate, description,
+        itemInactive: !itemActive[itemId], vendorInactive: Boolean(vendorId) && !vendorActive[vendorId] })) };
     }
   };
 
+  // Per vendor: the most recent PO rate for the item, and the average over the last 12 months. Every search is bounded by the
+  // vendor count: one row per vendor for its last order date, then only the lines on those dates for the rate.
+  const priceHistory = (itemId, vendorIds) => {
+    const history = {};
+    if (!vendorIds.length) return history;
+    const filters = [["mainline", "is", "F"], "AND", ["item", "anyof", itemId], "AND", ["entity", "anyof", vendorIds]];
+    const lastDates = runSearch("purchaseorder", filters, [search.createColumn({ name: "entity", summary: search.Summary.GROUP }), search.createColumn({ name: "trandate", summary: search.Summary.MAX })],
+      r => [r.getValue({ name: "entity", summary: search.Summary.GROUP }), r.getValue({ name: "trandate", summary: search.Summary.MAX })]).filter(([, date]) => date);
+    const onLastDate = lastDates.flatMap(([id, date], i) => [...(i ? ["OR"] : []), [["entity", "anyof", id], "AND", ["trandate", "on", date]]]);
+    lastDates.length && runSearch("purchaseorder", [["mainline", "is", "F"], "AND", ["item", "anyof", itemId], "AND", onLastDate], [search.createColumn({ name: "internalid", sort: search.Sort.DESC }), "entity", "trandate", "rate"], r => {
+      const id = r.getValue("entity");
+      if (!history[id]) history[id] = { lastPrice: Number(r.getValue("rate") || 0), lastDate: fromNsDate(r.getValue("trandate")) };
+    });
+    const since = (d => (d.setFullYear(d.getFullYear() - 1), d))(new Date());
+    runSearch("purchaseorder", [...filters, "AND", ["trandate", "onorafter", nsDate(since)]], [search.createColumn({ name: "entity", summary: search.Summary.GROUP }), search.createColumn({ name: "rate", summary: search.Summary.AVG }), search.createColumn({ name: "internalid", summary: search.Summary.COUNT })], r => {
+      const id = r.getValue({ name: "entity", summary: search.Summary.GROUP });
+      history[id] = { ...history[id], averagePrice: Math.round(Number(r.getValue({ name: "rate", summary: search.Summary.AVG }) || 0) * 100) / 100, purchaseCount: Number(r.getValue({ name: "internalid", summary: search.Summary.COUNT }) || 0) };
+    });
+    return history;
+  };
+
   const addVendorToItem = (itemId, vendorId, price) => {
     const rec = record.load({ type: "noninventoryitem", id: itemId, isDynamic: true }), n = rec.getLineCount({ sublistId: "itemvendor" });
     for (let i = 0; i < n; i++) if (String(rec.getSublistValue({ sublistId: "itemvendor", fieldId: "vendor", line: i })) === String(vendorId)) return;
@@ -56,20 +303,191 @@ define(["N/search", "N/record", "N/task"], (search, record, task) => {
     rec.commitLine({ sublistId: "itemvendor" }); rec.save({ ignoreMandatoryFields: true });
   };
 
-  const createRequisition = ({ requestorId, subsidiary, location, items }) => {
-    if (!requestorId || !subsidiary || !items?.length) throw new Error("requestorId, subsidiary, items required");
+  // Replayed submits carry the same client key and resolve to the requisition it already created. Only the requestor's own
+  // requisitions are looked at, and a key that comes back with different lines is a conflict rather than a replay.
+  const findByIdempotencyKey = ({ idempotencyKey, requestorId, items }) => {
+    const lines = runSearch("purchaserequisition", [["mainline", "is", "F"], "AND", ["entity", "anyof", requestorId], "AND", [config("idempotencyField"), "is", idempotencyKey]], ["internalid", "tranid", "item", "quantity"],
+      r => ({ id: r.getValue("internalid"), tranId: r.getValue("tranid"), itemId: r.getValue("item"), quantity: r.getValue("quantity") }));
+    if (!lines.length) return null;
+    const signature = list => list.map(l => `${l.itemId}:${Number(l.quantity || 1)}`).sort().join(",");
+    signature(lines) !== signature(items) && fail("CONFLICT", "This submission key was already used for a different requisition", "idempotencyKey");
+    return { id: lines[0].id, tranId: lines[0].tranId };
+  };
+
+  // Counts per key, keeping first-seen order so mostCommon breaks ties in favour of the earliest entry
+  const tally = (counts, key, value) => key && counts.set(key, { ...value, count: (counts.get(key)?.count || 0) + 1 });
+  const mostCommon = counts => [...counts].reduce((best, entry) => !best || entry[1].count > best[1].count ? entry : best, null);
+  const activeById = (type, ids) => { const m = {}; ids.length && runSearch(type, [["internalid", "anyof", ids]], ["internalid", "isinactive"], r => (m[r.getValue("internalid")] = !isTrue(r.getValue("isinactive")))); return m; };
+
+  // Quotes and photos arrive base64-encoded; RESTlet payloads cap out at 10MB so the limits stay well under it
+  const ATTACHMENT_TYPES = { "application/pdf": "PDF", "image/jpeg": "JPGIMAGE", "image/png": "PNGIMAGE" };
+  const MAX_ATTACHMENT_BYTES = 3 * 1024 * 1024, MAX_TOTAL_ATTACHMENT_BYTES = 6 * 1024 * 1024;
+  const base64Bytes = s => Math.floor(String(s || "").replace(/=+$/, "").length * 3 / 4);
+  const attachmentFolder = () => config("attachmentFolder");
+
+  const validateAttachments = (attachments, err) => {
+    if (!attachments?.length) return;
+    if (!attachmentFolder()) return err(null, "attachments", "NOT_CONFIGURED", "Attachments aren't set up yet");
+    let total = 0;
+    attachments.forEach(({ name, type, content, line }) => {
+      const bytes = base64Bytes(content); total += bytes;
+      if (!ATTACHMENT_TYPES[type]) err(line || null, "attachments", "INVALID_TYPE", `${name || "File"} must be a PDF, JPG or PNG`);
+      else if (!bytes) err(line || null, "attachments", "REQUIRED", `${name || "File"} is empty`);
+      else if (bytes > MAX_ATTACHMENT_BYTES) err(line || null, "attachments", "TOO_LARGE", `${name || "File"} is larger than 3MB`);
+    });
+    total > MAX_TOTAL_ATTACHMENT_BYTES && err(null, "attachments", "TOO_LARGE", "Attachments add up to more than 6MB");
+  };
+
+  const saveAttachments = (id, tranId, attachments) => (attachments || []).forEach(({ name, type, content, line }, i) => {
+    const fileId = file.create({ name: `${tranId}${line ? `-L${line}` : ""}-${i + 1}-${String(name || "attachment").replace(/[\\/:*?"<>|]/g, "_")}`, fileType: file.Type[ATTACHMENT_TYPES[type]], contents: content, folder: attachmentFolder() }).save();
+    record.attach({ record: { type: "file", id: fileId }, to: { type: "purchaserequisition", id } });
+  });
+
+  const validateRequisition = ({ requestorId, subsidiary, items, attachments, memo, fields }) => {
+    const errors = [], err = (line, field, code, message) => errors.push({ line, field, code, message });
+    !requestorId && err(null, "requestorId", "REQUIRED", "Requestor is required");
+    !subsidiary && err(null, "subsidiary", "REQUIRED", "Subsidiary is required");
+    (!Array.isArray(items) || !items.length) && err(null, "items", "REQUIRED", "Add at least one item");
+    if (errors.length) throw invalid(errors);
+
+    const ids = key => [...new Set(items.map(i => i[key]).filter(Boolean).map(String))];
+    const itemActive = activeById("item", ids("itemId")), vendorActive = activeById("vendor", [...ids("vendorId"), ...ids("pendingVendorId")]);
+    items.forEach(({ itemId, vendorId, pendingVendorId, quantity, estimatedPrice }, idx) => {
+      const line = idx + 1;
+      if (!itemId) err(line, "itemId", "REQUIRED", "Choose an item");
+      else if (!(itemId in itemActive)) err(line, "itemId", "NOT_FOUND", "Item not found in NetSuite");
+      else if (!itemActive[itemId]) err(line, "itemId", "INACTIVE", "Item is inactive");
+      if (!(Number(quantity ?? 1) > 0)) err(line, "quantity", "INVALID", "Quantity must be a positive number");
+      if (estimatedPrice != null && estimatedPrice !== "" && !(Number(estimatedPrice) >= 0)) err(line, "estimatedPrice", "INVALID", "Price can't be negative");
+      if (vendorId && !(vendorId in vendorActive)) err(line, "vendorId", "NOT_FOUND", "Vendor not found in NetSuite");
+      else if (vendorId && !vendorActive[vendorId]) err(line, "vendorId", "INACTIVE", "Vendor is inactive");
+      if (pendingVendorId && !(pendingVendorId in vendorActive)) err(line, "vendorId", "NOT_FOUND", "Requested vendor not found in NetSuite");
+    });
+    const checkFields = (values, allowed, line) => Object.keys(values || {}).forEach(f => fieldAllowed(allowed, f) || err(line, f, "NOT_ALLOWED", `${f} can't be set from the app`));
+    checkFields(headerValues({ memo, fields }), headerFields(), null);
+    items.forEach((item, idx) => checkFields(item.fields, lineFields(), idx + 1));
+    validateAttachments(attachments, err);
+    if (errors.length) throw invalid(errors);
+  };
+
+  const setHeaderFields = (req, body) => Object.entries(headerValues(body)).forEach(([f, v]) => v == null || req.setValue({ fieldId: f, value: v === "" ? "" : fieldValue(v) }));
+  // A requested vendor is still inactive, so its lines carry it in the description (and the optional column) instead of povendor
+  const pendingVendorNote = id => `Pending vendor: ${search.lookupFields({ type: "vendor", id, columns: ["companyname"] }).companyname} (#${id})`;
+  const splitPendingVendorNote = description => {
+    const [note = "", pendingVendorName = "", pendingVendorId = ""] = description.match(/^Pending vendor: (.*?) \(#(\d+)\)(?: - |$)/) || [];
+    return { pendingVendorId, pendingVendorName, description: description.slice(note.length) };
+  };
+  const setLines = (req, items, location) => items.forEach(({ itemId, quantity, estimatedPrice, description, vendorId, pendingVendorId, fields }, idx) => [["item", itemId], ["quantity", quantity || 1], ["rate", estimatedPrice],
+    ["description", [pendingVendorId && pendingVendorNote(pendingVendorId), splitPendingVendorNote(description || "").description].filter(Boolean).join(" - ")], ["povendor", vendorId], ["location", location], [config("pendingVendorLineField"), pendingVendorId], ...Object.entries(fields || {}).map(([f, v]) => [f, fieldValue(v)])]
+    .forEach(([f, v]) => f && v && req.setSublistValue({ sublistId: "item", fieldId: f, line: idx, value: v })));
+  const triggerApproval = id => task.create({ taskType: task.TaskType.WORKFLOW_TRIGGER, workflowId: config("workflowId"), recordType: "purchaserequisition", recordId: id }).submit();
+
+  const createRequisition = body => {
+    const { requestorId, subsidiary, location, items, idempotencyKey } = body;
+    validateRequisition(body);
+    const existing = idempotencyKey && findByIdempotencyKey(body);
+    if (existing) return existing;
     items.filter(i => i.isNewVendor && i.vendorId && i.itemId).forEach(i => addVendorToItem(i.itemId, i.vendorId, i.estimatedPrice));
 
     const req = record.create({ type: "purchaserequisition", isDynamic: false });
-    [["entity", requestorId], ["subsidiary", subsidiary], ["location", location]].forEach(([f, v]) => v && req.setValue({ fieldId: f, value: v }));
+    [["entity", requestorId], ["subsidiary", subsidiary], ["location", location], [config("idempotencyField"), idempotencyKey]].forEach(([f, v]) => v && req.setValue({ fieldId: f, value: v }));
+    setHeaderFields(req, body);
+
+    setLines(req, items, location);
+
+    const id = req.save({ enableSourcing: false, ignoreMandatoryFields: true }), tranId = search.lookupFields({ type: "purchaserequisition", id, columns: "tranid" }).tranid;
+    saveAttachments(id, tranId, body.attachments);
+    triggerApproval(id);
+    return { id, tranId };
+  };
+
+  // Requestors may change their own requisitions only until they are approved, cancelled or ordered
+  const editBlocker = (rec, requestorId) => {
+    const n = rec.getLineCount({ sublistId: "item" }), line = (fieldId, i) => rec.getSublistValue({ sublistId: "item", fieldId, line: i }), tranId = rec.getValue("tranid");
+    if (String(rec.getValue("entity")) !== String(requestorId)) return ["FORBIDDEN", "You can only change your own requisitions"];
+    if (String(rec.getValue("approvalstatus")) === APPROVAL.APPROVED) return ["LOCKED", `${tranId} is already approved`];
+    if ([...Array(n)].some((_, i) => first(line("linkedorder", i)))) return ["LOCKED", `${tranId} is already on a purchase order`];
+    if (n && [...Array(n)].every((_, i) => isTrue(line("isclosed", i)))) return ["LOCKED", `${tranId} is already cancelled`];
+    return null;
+  };
 
-    items.forEach(({ itemId, quantity, estimatedPrice, description, vendorId }, idx) => [["item", itemId], ["quantity", quantity || 1], ["rate", estimatedPrice], ["description", description], ["povendor", vendorId], ["location", location]]
-      .forEach(([f, v]) => v && req.setSublistValue({ sublistId: "item", fieldId: f, line: idx, value: v })));
+  const loadEditable = (id, requestorId) => {
+    if (!id || !requestorId) fail("REQUIRED", "id and requestorId required", id ? "requestorId" : "id");
+    const rec = record.load({ type: "purchaserequisition", id, isDynamic: false }), blocker = editBlocker(rec, requestorId);
+    blocker && fail(blocker[0], blocker[1], "id");
+    return rec;
+  };
+
+  const updateRequisition = body => {
+    const { id, requestorId, location, items } = body, rec = loadEditable(id, requestorId);
+    validateRequisition({ ...body, subsidiary: rec.getValue("subsidiary") });
+    items.filter(i => i.isNewVendor && i.vendorId && i.itemId).forEach(i => addVendorToItem(i.itemId, i.vendorId, i.estimatedPrice));
 
-    const id = req.save({ enableSourcing: false, ignoreMandatoryFields: true });
-    task.create({ taskType: task.TaskType.WORKFLOW_TRIGGER, workflowId: "949", recordType: "purchaserequisition", recordId: id }).submit();
-    return { id, tranId: search.lookupFields({ type: "purchaserequisition", id, columns: "tranid" }).tranid };
+    for (let i = rec.getLineCount({ sublistId: "item" }) - 1; i >= 0; i--) rec.removeLine({ sublistId: "item", line: i });
+    location && rec.setValue({ fieldId: "location", value: location });
+    setHeaderFields(rec, body);
+    rec.setValue({ fieldId: "approvalstatus", value: APPROVAL.PENDING });
+    setLines(rec, items, location);
+
+    rec.save({ enableSourcing: false, ignoreMandatoryFields: true });
+    saveAttachments(id, rec.getValue("tranid"), body.attachments);
+    triggerApproval(id);
+    return { id: String(id), tranId: rec.getValue("tranid") };
   };
 
-  return { get: p => getHandlers[p.action]?.(p) ?? (() => { throw new Error("Unknown action"); })(), post: b => b?.action === "createRequisition" ? createRequisition(b) : (() => { throw new Error("Action required"); })() };
+  // Closing every line is how NetSuite cancels a requisition that never reached a PO
+  const cancelRequisition = ({ id, requestorId }) => {
+    const rec = loadEditable(id, requestorId), n = rec.getLineCount({ sublistId: "item" });
+    for (let i = 0; i < n; i++) rec.setSublistValue({ sublistId: "item", fieldId: "isclosed", line: i, value: true });
+    rec.save({ enableSourcing: false, ignoreMandatoryFields: true });
+    return { id: String(id), tranId: rec.getValue("tranid"), cancelled: true };
+  };
+
+  // Approvers decide from the app by setting the approval status the workflow waits on, then nudging the workflow
+  const decide = ({ id, approverId, decision, reason }) => {
+    if (!id || !approverId) fail("REQUIRED", "id and approverId required", id ? "approverId" : "id");
+    if (decision !== "approve" && decision !== "reject") fail("INVALID", "decision must be approve or reject", "decision");
+    if (decision === "reject" && !String(reason || "").trim()) fail("REQUIRED", "Give a reason for rejecting", "reason");
+
+    const { tranid, approvalstatus, nextapprover } = search.lookupFields({ type: "purchaserequisition", id, columns: ["tranid", "approvalstatus", "nextapprover"] });
+    if (String(first(approvalstatus)?.value) !== APPROVAL.PENDING) fail("LOCKED", `${tranid} is no longer pending approval`, "id");
+    if (String(first(nextapprover)?.value) !== String(approverId)) fail("FORBIDDEN", `${tranid} is waiting on someone else`, "approverId");
+
+    const values = { approvalstatus: decision === "approve" ? APPROVAL.APPROVED : APPROVAL.REJECTED };
+    decision === "reject" && (values[config("rejectionReasonField")] = String(reason).trim());
+    record.submitFields({ type: "purchaserequisition", id, values, options: { enableSourcing: false, ignoreMandatoryFields: true } });
+    triggerApproval(id);
+    return { id: String(id), tranId: tranid, decision };
+  };
+
+  // Suppliers not in NetSuite yet become inactive vendors, in the requestor's subsidiary, for procurement to vet, complete and activate.
+  // Asking twice for the same name returns the vendor already requested.
+  const requestVendor = ({ requestorId, subsidiary, name, taxId, email, phone, website }) => {
+    const errors = [], err = (field, code, message) => errors.push({ line: null, field, code, message }), companyName = String(name || "").trim();
+    !requestorId && err("requestorId", "REQUIRED", "Requestor is required");
+    !companyName && err("name", "REQUIRED", "Vendor name is required");
+    email && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email) && err("email", "INVALID", "Email address doesn't look right");
+    website && !/^(https?:\/\/)?[\w-]+(\.[\w-]+)+\S*$/.test(website) && err("website", "INVALID", "Website doesn't look right");
+    if (errors.length) throw invalid(errors);
+
+    const existing = runSearch("vendor", [["companyname", "is", companyName]], ["internalid", "isinactive"], r => ({ id: r.getValue("internalid"), active: !isTrue(r.getValue("isinactive")) }))[0];
+    if (existing?.active) fail("DUPLICATE", `${companyName} is already a vendor - search for it instead`, "name");
+    if (existing) return { id: existing.id, name: companyName, pending: true };
+
+    const vendor = record.create({ type: "vendor", isDynamic: false });
+    [["companyname", companyName], ["subsidiary", asId(subsidiary || "") || config("defaultSubsidiary")], ["isinactive", true], ["email", email], ["phone", phone], ["url", website && !/^https?:/.test(website) ? `https://${website}` : website],
+      ["vatregnumber", taxId], ["comments", `Requested from the web app by employee ${requestorId}`], [config("vendorPendingField"), true]].forEach(([f, v]) => f && v && vendor.setValue({ fieldId: f, value: v }));
+    const id = String(vendor.save({ ignoreMandatoryFields: true }));
+    log.audit({ title: "VENDOR_REQUESTED", details: `${companyName} (${id}) by employee ${requestorId}` });
+    return { id, name: companyName, pending: true };
+  };
+
+  const postHandlers = { createRequisition, updateRequisition, cancelRequisition, decide, requestVendor };
+
+  const respond = fn => p => { try { return fn(p); } catch (e) { if (e.errors) return { ok: false, errors: e.errors }; throw e; } };
+
+  return {
+    get: respond(p => getHandlers[p.action]?.(p) ?? fail("UNKNOWN_ACTION", `Unknown action: ${p.action || ""}`, "action")),
+    post: respond(b => postHandlers[b?.action]?.(b) ?? fail("UNKNOWN_ACTION", `Unknown action: ${b?.action || ""}`, "action"))
+  };
 });
@@ -0,0 +1,347 @@
+// In-memory stand-ins for the SuiteScript modules our scripts use, so they can run under Node.
+//
+// Records live in a plain object keyed by record type and id. Body fields sit on the record itself
+// and sublist lines under `sublists`, e.g.
+//   { purchaserequisition: [{ id: "10", tranid: "REQ10", entity: "5", sublists: { item: [{ item: "20", quantity: 2 }] } }] }
+// Values are stored the way record.getValue returns them: ids as strings, checkboxes as booleans,
+// dates as Date objects. Searches and lookupFields format dates as d/m/yyyy like the account does.
+//
+// Deliberately small: only the filter operators, column options and record methods the scripts call.
+const fs = require("fs");
+
+const ITEM_TYPES = ["noninventoryitem", "inventoryitem", "serviceitem"];
+const TRANSACTION_TYPES = ["purchaserequisition", "purchaseorder", "itemreceipt", "vendorbill"];
+
+// Select fields: which record type their value points at, for getText, joins and lookupFields
+const REFERENCES = {
+  entity: rec => (["purchaseorder", "vendorbill", "itemreceipt"].includes(rec.type) ? "vendor" : "employee"),
+  nextapprover: () => "employee",
+  employee: () => "employee",
+  item: () => "item",
+  povendor: () => "vendor",
+  vendor: () => "vendor",
+  linkedorder: () => "purchaseorder",
+  createdfrom: () => "purchaseorder",
+  location: () => "location",
+  department: () => "department",
+  class: () => "classification",
+  subsidiary: () => "subsidiary",
+  msesubsidiary: () => "subsidiary",
+  currency: () => "currency"
+};
+// List values shown as text; a value not listed here is its own text
+const LISTS = {
+  approvalstatus: { 1: "Pending Approval", 2: "Approved", 3: "Rejected" },
+  status: { "PurchOrd:A": "Pending Supervisor Approval", "PurchOrd:B": "Pending Receipt", "PurchOrd:D": "Partially Received", "PurchOrd:E": "Pending Billing/Partially Received", "PurchOrd:G": "Fully Billed", "PurchOrd:H": "Closed" }
+};
+// Search column ids that read a differently named record field
+const COLUMN_ALIASES = { memomain: "memo" };
+
+const clone = value => (value instanceof Date ? new Date(value) : Array.isArray(value) ? value.map(clone)
+  : value && typeof value === "object" ? Object.fromEntries(Object.entries(value).map(([k, v]) => [k, clone(v)])) : value);
+const nsDate = d => `${d.getDate()}/${d.getMonth() + 1}/${d.getFullYear()}`;
+const parseNsDate = v => { const [d, m, y] = String(v).split("/").map(Number); return new Date(y, m - 1, d); };
+const asText = v => (v instanceof Date ? nsDate(v) : typeof v === "boolean" ? v : v == null ? "" : v);
+// Checkbox filters compare "T"/"F"; a checkbox never set reads as "F"
+const checkbox = v => (v === true || v === "T" ? "T" : "F");
+const sameValue = (a, b) => (b === "T" || b === "F" ? checkbox(a) === b : String(a ?? "").toLowerCase() === String(b ?? "").toLowerCase());
+const first = v => (Array.isArray(v) ? v[0] : v);
+
+function createNetSuite(seed = {}, { parameters = {} } = {}) {
+  const db = {};
+  let nextId = 1000;
+  const logs = [];
+  const tasks = [];
+  const files = [];
+  const attachments = [];
+  const submitted = [];
+  const emails = [];
+
+  const table = type => (db[type] = db[type] || new Map());
+  const put = (type, data) => {
+    const rec = { ...clone(data), id: String(data.id ?? ++nextId), type, sublists: clone(data.sublists || {}) };
+    if (!rec.tranid && type === "purchaserequisition") rec.tranid = `REQ${rec.id}`;
+    if (!rec.tranid && type === "purchaseorder") rec.tranid = `PO${rec.id}`;
+    if (Number(rec.id) >= nextId) nextId = Number(rec.id);
+    table(type).set(rec.id, rec);
+    return rec;
+  };
+  Object.entries(seed).forEach(([type, records]) => records.forEach(data => put(type, data)));
+
+  const typesFor = type => (type === "item" ? ITEM_TYPES : [type]);
+  const find = (type, id) => typesFor(type).map(t => table(t).get(String(id))).find(Boolean);
+  const displayName = rec => rec && (rec.displayname || rec.companyname || rec.name || [rec.firstname, rec.lastname].filter(Boolean).join(" ") || rec.entityid || rec.itemid || rec.tranid || rec.symbol || rec.id);
+  const textOf = (rec, field, value) => {
+    if (value == null || value === "") return "";
+    if (LISTS[field]) return LISTS[field][value] ?? String(value);
+    const ref = REFERENCES[field]?.(rec);
+    if (ref) return [].concat(value).map(v => displayName(find(ref, v)) || "").join(",");
+    return String(asText(value));
+  };
+
+  // ---- N/search ----
+
+  const columnName = c => (typeof c === "string" ? c : c.name);
+  const columnKey = c => (typeof c === "string" ? c : [c.join, c.name, c.summary].filter(Boolean).join("."));
+
+  // Transactions searched with mainline F give one row per item line, body fields underneath line fields
+  const rowsFor = (type, filters) => {
+    const lineLevel = JSON.stringify(filters || []).includes('["mainline","is","F"]');
+    return typesFor(type).flatMap(t => [...table(t).values()]).flatMap(rec => {
+      if (!lineLevel || !TRANSACTION_TYPES.includes(rec.type)) return [{ rec, values: rec }];
+      return (rec.sublists.item || []).map(line => ({ rec, values: { ...rec, ...line } }));
+    });
+  };
+
+  const fieldOf = (row, name) => {
+    if (name === "internalid") return row.rec.id;
+    // "join.field" filters, e.g. msesubsidiary.internalid: one value per joined record
+    if (name.includes(".")) {
+      const [join, field] = name.split(".");
+      return [].concat(row.values[join] ?? []).map(id => find(REFERENCES[join](row.values), id)).filter(Boolean).map(rec => fieldOf({ rec, values: rec }, field));
+    }
+    if (name === "mainline") return null;
+    return row.values[COLUMN_ALIASES[name] || name];
+  };
+
+  const matches = (row, filter) => {
+    if (!filter || !filter.length) return true;
+    if (Array.isArray(filter[0])) {
+      // [expr, "AND"|"OR", expr, ...]
+      let result = matches(row, filter[0]);
+      for (let i = 1; i < filter.length; i += 2) {
+        const next = matches(row, filter[i + 1]);
+        result = String(filter[i]).toUpperCase() === "OR" ? result || next : result && next;
+      }
+      return result;
+    }
+    const [name, operator, ...rest] = filter;
+    const values = rest.flat();
+    if (name === "mainline") return true;
+    const actual = fieldOf(row, name);
+    switch (operator) {
+      case "is": return sameValue(actual, values[0]);
+      case "isnot": return !sameValue(actual, values[0]);
+      case "anyof": return values.includes("@NONE@") && ![].concat(actual ?? []).filter(a => a !== "").length || [].concat(actual ?? []).some(a => values.some(v => sameValue(a, v)));
+      case "noneof": return ![].concat(actual ?? []).some(a => values.some(v => sameValue(a, v)));
+      case "contains": return String(actual ?? "").toLowerCase().includes(String(values[0]).toLowerCase());
+      case "on": return actual instanceof Date && actual.toDateString() === parseNsDate(values[0]).toDateString();
+      case "onorafter": return actual instanceof Date && actual >= parseNsDate(values[0]);
+      case "onorbefore": return actual instanceof Date && actual <= parseNsDate(values[0]);
+      default: throw new Error(`fake N/search: unsupported operator ${operator}`);
+    }
+  };
+
+  const valueFor = (row, column) => {
+    const c = typeof column === "string" ? { name: column } : column;
+    if (c.join) {
+      const ref = REFERENCES[c.join]?.(row.rec);
+      const target = ref && find(ref, first(fieldOf(row, c.join)));
+      return target ? target[c.name] : "";
+    }
+    return fieldOf(row, c.name);
+  };
+
+  const makeResult = (row, columns, summarised) => {
+    const lookup = column => {
+      const key = columnKey(column);
+      const c = columns.find(col => columnKey(col) === key) || column;
+      return summarised ? summarised[columnKey(c)] : valueFor(row, c);
+    };
+    return {
+      id: row?.rec.id,
+      recordType: row?.rec.type,
+      getValue: column => { const v = lookup(column); return Array.isArray(v) ? v.join(",") : asText(v); },
+      getText: column => {
+        const c = typeof column === "string" ? { name: column } : column;
+        if (summarised) return String(lookup(column) ?? "");
+        return c.join ? String(asText(valueFor(row, c))) : textOf(row.values, c.name, fieldOf(row, c.name));
+      }
+    };
+  };
+
+  const compare = (a, b) => (a instanceof Date || b instanceof Date ? (a || 0) - (b || 0)
+    : typeof a === "number" || typeof b === "number" ? Number(a || 0) - Number(b || 0)
+      : String(a ?? "").localeCompare(String(b ?? ""), undefined, { numeric: true }));
+
+  const execute = ({ type, filters, columns = [] }) => {
+    let rows = rowsFor(type, filters).filter(row => matches(row, filters));
+    const sorts = columns.filter(c => typeof c === "object" && c.sort);
+    if (sorts.length) {
+      rows = rows.sort((a, b) => {
+        for (const c of sorts) {
+          const diff = compare(valueFor(a, c), valueFor(b, c)) * (c.sort === "DESC" ? -1 : 1);
+          if (diff) return diff;
+        }
+        return 0;
+      });
+    }
+
+    if (!columns.some(c => typeof c === "object" && c.summary)) return rows.map(row => makeResult(row, columns));
+
+    const groupBy = columns.filter(c => c.summary === "GROUP");
+    const groups = new Map();
+    rows.forEach(row => {
+      const key = JSON.stringify(groupBy.map(c => valueFor(row, c)));
+      groups.has(key) || groups.set(key, []);
+      groups.get(key).push(row);
+    });
+    return [...groups.values()].map(group => {
+      const values = Object.fromEntries(columns.map(c => {
+        const all = group.map(row => valueFor(row, c));
+        const numbers = all.map(Number).filter(n => !isNaN(n));
+        const summary = {
+          GROUP: () => all[0],
+          COUNT: () => all.length,
+          SUM: () => numbers.reduce((s, n) => s + n, 0),
+          AVG: () => (numbers.length ? numbers.reduce((s, n) => s + n, 0) / numbers.length : ""),
+          MAX: () => all.reduce((m, v) => (compare(v, m) > 0 ? v : m)),
+          MIN: () => all.reduce((m, v) => (compare(v, m) < 0 ? v : m))
+        }[c.summary];
+        return [columnKey(c), summary()];
+      }));
+      return makeResult(null, columns, values);
+    });
+  };
+
+  const search = {
+    Sort: { ASC: "ASC", DESC: "DESC", NONE: "NONE" },
+    Summary: { GROUP: "GROUP", COUNT: "COUNT", SUM: "SUM", AVG: "AVG", MIN: "MIN", MAX: "MAX" },
+    createColumn: options => ({ ...options }),
+    create: options => ({
+      run: () => ({
+        each: fn => { for (const result of execute(options)) if (fn(result) !== true) break; },
+        getRange: ({ start, end }) => execute(options).slice(start, end)
+      }),
+      runPaged: ({ pageSize = 50 } = {}) => {
+        const results = execute(options);
+        const pageRanges = [...Array(Math.ceil(results.length / pageSize))].map((_, index) => ({ index }));
+        return { count: results.length, pageRanges, fetch: ({ index }) => ({ data: results.slice(index * pageSize, (index + 1) * pageSize) }) };
+      }
+    }),
+    lookupFields: ({ type, id, columns }) => {
+      const rec = find(type, id);
+      if (!rec) throw Object.assign(new Error(`That record does not exist: ${type} ${id}`), { name: "RCRD_DSNT_EXIST" });
+      return Object.fromEntries([].concat(columns).map(name => {
+        const value = fieldOf({ rec, values: rec }, name);
+        if (LISTS[name] || REFERENCES[name]) return [name, value == null || value === "" ? [] : [].concat(value).map(v => ({ value: String(v), text: textOf(rec, name, v) }))];
+        return [name, value == null ? "" : asText(value)];
+      }));
+    }
+  };
+
+  // ---- N/record ----
+
+  const makeRecord = (rec, isDynamic) => {
+    const data = clone(rec);
+    const current = {};
+    const lines = sublistId => (data.sublists[sublistId] = data.sublists[sublistId] || []);
+    const lineAt = (sublistId, line) => {
+      const l = lines(sublistId)[line];
+      if (!l) throw new Error(`fake N/record: ${sublistId} has no line ${line}`);
+      return l;
+    };
+    const bodyFields = () => Object.keys(data).filter(k => !["id", "type", "sublists"].includes(k));
+
+    return {
+      get id() { return data.id; },
+      type: data.type,
+      isDynamic: Boolean(isDynamic),
+      getValue: arg => data[typeof arg === "string" ? arg : arg.fieldId] ?? "",
+      getText: arg => { const f = typeof arg === "string" ? arg : arg.fieldId; return textOf(data, f, data[f]); },
+      setValue: ({ fieldId, value }) => { data[fieldId] = value; },
+      getFields: bodyFields,
+      getLineCount: ({ sublistId }) => lines(sublistId).length,
+      getSublistFields: ({ sublistId }) => [...new Set(lines(sublistId).flatMap(Object.keys))],
+      getSublistValue: ({ sublistId, fieldId, line }) => lineAt(sublistId, line)[fieldId] ?? "",
+      getSublistText: ({ sublistId, fieldId, line }) => textOf(data, fieldId, lineAt(sublistId, line)[fieldId]),
+      setSublistValue: ({ sublistId, fieldId, line, value }) => {
+        const all = lines(sublistId);
+        while (all.length <= line) all.push({});
+        all[line][fieldId] = value;
+      },
+      removeLine: ({ sublistId, line }) => { lineAt(sublistId, line); lines(sublistId).splice(line, 1); },
+      selectNewLine: ({ sublistId }) => { current[sublistId] = {}; },
+      setCurrentSublistValue: ({ sublistId, fieldId, value }) => { (current[sublistId] = current[sublistId] || {})[fieldId] = value; },
+      commitLine: ({ sublistId }) => { lines(sublistId).push(current[sublistId] || {}); delete current[sublistId]; },
+      save: () => {
+        const saved = put(data.type, data);
+        data.id = saved.id;
+        data.tranid = saved.tranid;
+        return saved.id;
+      }
+    };
+  };
+
+  const record = {
+    Type: { PURCHASE_REQUISITION: "purchaserequisition", PURCHASE_ORDER: "purchaseorder", VENDOR: "vendor", NON_INVENTORY_ITEM: "noninventoryitem" },
+    load: ({ type, id, isDynamic }) => {
+      const rec = find(type, id);
+      if (!rec) throw Object.assign(new Error(`That record does not exist: ${type} ${id}`), { name: "RCRD_DSNT_EXIST" });
+      return makeRecord(rec, isDynamic);
+    },
+    create: ({ type, isDynamic }) => makeRecord({ id: undefined, type, sublists: {} }, isDynamic),
+    submitFields: ({ type, id, values }) => {
+      const rec = find(type, id);
+      if (!rec) throw Object.assign(new Error(`That record does not exist: ${type} ${id}`), { name: "RCRD_DSNT_EXIST" });
+      Object.assign(rec, clone(values));
+      submitted.push({ type, id: String(id), values: clone(values) });
+      return rec.id;
+    },
+    attach: ({ record: attached, to }) => { attachments.push({ record: attached, to }); }
+  };
+
+  // ---- N/task, N/file, N/email, N/log, N/runtime ----
+
+  const task = {
+    TaskType: { WORKFLOW_TRIGGER: "WORKFLOW_TRIGGER", SCHEDULED_SCRIPT: "SCHEDULED_SCRIPT", MAP_REDUCE: "MAP_REDUCE" },
+    create: options => ({ ...options, submit: () => { tasks.push({ ...options }); return `TASK${tasks.length}`; } })
+  };
+
+  const file = {
+    Type: { PDF: "PDF", JPGIMAGE: "JPGIMAGE", PNGIMAGE: "PNGIMAGE", PLAINTEXT: "PLAINTEXT", CSV: "CSV" },
+    create: options => ({ ...options, save: () => { files.push({ ...options }); return String(++nextId); } })
+  };
+
+  // Sent mail is kept in `emails`; replace send to make it fail
+  const email = { send: options => { emails.push(clone(options)); } };
+
+  const logger = level => ({ title, details }) => { logs.push({ level, title, details }); };
+  const log = { debug: logger("debug"), audit: logger("audit"), error: logger("error"), emergency: logger("emergency") };
+
+  const runtime = {
+    getCurrentScript: () => ({ getParameter: ({ name }) => (name in parameters ? parameters[name] : null) }),
+    getCurrentUser: () => ({ id: "-4", role: "3" })
+  };
+
+  return {
+    modules: { "N/search": search, "N/record": record, "N/task": task, "N/file": file, "N/email": email, "N/log": log, "N/runtime": runtime },
+    db,
+    get: (type, id) => clone(find(type, id)),
+    all: type => [...table(type).values()].map(clone),
+    put,
+    parameters,
+    logs,
+    tasks,
+    files,
+    attachments,
+    submitted,
+    emails
+  };
+}
+
+// Runs a SuiteScript file's AMD define() against the fakes and returns what its factory returns.
+// Each call evaluates the file afresh, so module-level caches don't leak between tests.
+function loadScript(path, netsuite) {
+  let exported;
+  const define = (deps, factory) => {
+    exported = factory(...deps.map(name => {
+      if (!(name in netsuite.modules)) throw new Error(`fake define: no stand-in for ${name}`);
+      return netsuite.modules[name];
+    }));
+  };
+  new Function("define", fs.readFileSync(path, "utf8"))(define);
+  return exported;
+}
+
+module.exports = { createNetSuite, loadScript, nsDate };
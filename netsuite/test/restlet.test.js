@@ -0,0 +1,470 @@
+// Run with: node --test netsuite/test/
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { createNetSuite, loadScript } = require("./fake-netsuite");
+
+const SCRIPT = path.join(__dirname, "..", "restlet-genia-requisition.js");
+const daysAgo = n => { const d = new Date(); d.setHours(0, 0, 0, 0); d.setDate(d.getDate() - n); return d; };
+const iso = d => [d.getFullYear(), d.getMonth() + 1, d.getDate()].map(n => String(n).padStart(2, "0")).join("-");
+
+const seed = () => ({
+  currency: [{ id: "1", symbol: "AUD" }, { id: "2", symbol: "NZD" }],
+  subsidiary: [{ id: "1", name: "Genia AU", currency: "1" }, { id: "2", name: "Genia NZ", currency: "2" }],
+  employee: [
+    { id: "5", firstname: "Ada", lastname: "Lovelace", email: "ada@example.com", subsidiary: "1", location: "2", purchaseorderlimit: 5000 },
+    { id: "6", firstname: "Grace", lastname: "Hopper", email: "grace@example.com", subsidiary: "2" },
+    { id: "7", email: "gone@example.com", isinactive: true }
+  ],
+  location: [{ id: "2", name: "Sydney", subsidiary: "1" }, { id: "8", name: "Warehouse", subsidiary: "1" }, { id: "9", name: "Closed site", subsidiary: "1", isinactive: true }, { id: "15", name: "Auckland", subsidiary: "2" }],
+  department: [{ id: "3", name: "Engineering" }],
+  classification: [{ id: "4", name: "Capex" }],
+  vendor: [
+    { id: "30", entityid: "V-ACME", companyname: "Acme Supplies", email: "sales@acme.test", phone: "02 9999 0000", msesubsidiary: ["1", "2"] },
+    { id: "31", entityid: "V-BOLT", companyname: "Bolt & Co", email: "hi@bolt.test", msesubsidiary: ["1"] },
+    { id: "32", entityid: "V-OLD", companyname: "Old Vendor", isinactive: true }
+  ],
+  noninventoryitem: [
+    { id: "20", itemid: "GLV-001", displayname: "Nitrile gloves", description: "Box of 100", subsidiary: ["1", "2"], sublists: { itemvendor: [{ vendor: "30", purchaseprice: 12 }, { vendor: "31", purchaseprice: 11 }] } },
+    { id: "21", itemid: "TAPE-02", displayname: "Duct tape", subsidiary: ["1"], sublists: { itemvendor: [] } },
+    { id: "22", itemid: "OLD-99", displayname: "Retired widget", isinactive: true }
+  ],
+  purchaseorder: [
+    { id: "60", tranid: "PO60", entity: "30", employee: "6", status: "PurchOrd:D", trandate: daysAgo(20), duedate: daysAgo(5),
+      sublists: { item: [{ item: "20", quantity: 10, quantityreceived: 4, quantitybilled: 0, rate: 10, location: "2", expectedreceiptdate: daysAgo(5) }] } },
+    { id: "61", tranid: "PO61", entity: "30", trandate: daysAgo(500), sublists: { item: [{ item: "20", quantity: 1, rate: 8 }] } },
+    { id: "62", tranid: "PO62", entity: "31", trandate: daysAgo(40), sublists: { item: [{ item: "20", quantity: 1, rate: 14 }] } }
+  ],
+  itemreceipt: [{ id: "70", tranid: "IR70", createdfrom: "60", trandate: daysAgo(10) }],
+  purchaserequisition: [
+    { id: "10", tranid: "REQ10", entity: "5", subsidiary: "1", currency: "1", location: "2", trandate: daysAgo(3), approvalstatus: "1", nextapprover: "6", memo: "For the lab", total: 36, status: "Pending Approval",
+      sublists: { item: [{ item: "20", quantity: 3, rate: 12, amount: 36, povendor: "30", description: "Large" }] } },
+    { id: "11", tranid: "REQ11", entity: "5", subsidiary: "1", trandate: daysAgo(25), approvalstatus: "2", total: 100, status: "Fully Ordered",
+      sublists: { item: [{ item: "20", quantity: 10, rate: 10, amount: 100, povendor: "30", linkedorder: "60" }] } },
+    { id: "12", tranid: "REQ12", entity: "5", subsidiary: "1", trandate: daysAgo(10), approvalstatus: "1", nextapprover: "6", total: 20,
+      sublists: { item: [{ item: "22", quantity: 1, rate: 5, amount: 5, povendor: "32" }, { item: "21", quantity: 3, rate: 5, amount: 15 }] } },
+    { id: "13", tranid: "REQ13", entity: "6", subsidiary: "1", trandate: daysAgo(1), approvalstatus: "1", total: 7, sublists: { item: [{ item: "21", quantity: 1, rate: 7, amount: 7 }] } }
+  ]
+});
+
+const setup = (parameters = {}) => {
+  const ns = createNetSuite(seed(), { parameters });
+  return { ns, restlet: loadScript(SCRIPT, ns) };
+};
+
+describe("get", () => {
+  test("unknown actions are field errors", () => {
+    const { restlet } = setup();
+    assert.deepEqual(restlet.get({ action: "nope" }), { ok: false, errors: [{ line: undefined, field: "action", code: "UNKNOWN_ACTION", message: "Unknown action: nope" }] });
+  });
+
+  test("config returns defaults and the subsidiary's currency", () => {
+    const { restlet } = setup();
+    assert.deepEqual(restlet.get({ action: "config" }), { excludedLocationIds: ["8"], defaultSubsidiary: "1", lookbackMonths: 2, spendThresholds: [], currency: "AUD" });
+  });
+
+  test("config reads parameters and rejects invalid ones", () => {
+    const thresholds = JSON.stringify([{ amount: 5000, message: "Director" }, { amount: 1000, message: "Manager" }]);
+    const { restlet } = setup({ custscript_genia_lookback_months: "6", custscript_genia_spend_thresholds: thresholds });
+    const result = restlet.get({ action: "config" });
+    assert.equal(result.lookbackMonths, 6);
+    assert.deepEqual(result.spendThresholds, [{ amount: 1000, message: "Manager" }, { amount: 5000, message: "Director" }]);
+
+    const { ns, restlet: broken } = setup({ custscript_genia_lookback_months: "99" });
+    assert.throws(() => broken.get({ action: "config" }), /custscript_genia_lookback_months is invalid/);
+    assert.equal(ns.logs.at(-1).title, "CONFIG_INVALID");
+  });
+
+  test("purchaseLimits turns blank limits into null", () => {
+    const { restlet } = setup();
+    assert.deepEqual(restlet.get({ action: "purchaseLimits", employeeId: "5" }), { purchaseLimit: 5000, approvalLimit: null });
+    assert.equal(restlet.get({ action: "purchaseLimits" }).errors[0].code, "REQUIRED");
+  });
+
+  test("employees lists active employees with their subsidiary, its currency and their location", () => {
+    const { ns, restlet } = setup();
+    ns.put("employee", { id: "8", email: "nameless@example.com" });
+    assert.deepEqual(restlet.get({ action: "employees" }), [
+      { id: "5", name: "Ada Lovelace", email: "ada@example.com", subsidiary: "1", location: "2", currency: "AUD" },
+      { id: "6", name: "Grace Hopper", email: "grace@example.com", subsidiary: "2", location: "", currency: "NZD" },
+      { id: "8", name: "nameless@example.com", email: "nameless@example.com", subsidiary: "", location: "", currency: "" }
+    ]);
+  });
+
+  test("locations, departments and classes skip inactive records", () => {
+    const { restlet } = setup();
+    assert.deepEqual(restlet.get({ action: "locations" }), [{ id: "2", name: "Sydney" }, { id: "8", name: "Warehouse" }, { id: "15", name: "Auckland" }]);
+    assert.deepEqual(restlet.get({ action: "departments" }), [{ id: "3", name: "Engineering" }]);
+    assert.deepEqual(restlet.get({ action: "classes" }), [{ id: "4", name: "Capex" }]);
+  });
+
+  test("locations, items and vendors can be limited to a subsidiary", () => {
+    const { restlet } = setup();
+    assert.deepEqual(restlet.get({ action: "locations", subsidiary: "2" }), [{ id: "15", name: "Auckland" }]);
+    assert.deepEqual(restlet.get({ action: "items", q: "glv", subsidiary: "2" }).map(i => i.sku), ["GLV-001"]);
+    assert.deepEqual(restlet.get({ action: "items", q: "tape", subsidiary: "2" }), []);
+    assert.deepEqual(restlet.get({ action: "vendors", q: "co", subsidiary: "2" }).map(v => v.id), []);
+    assert.deepEqual(restlet.get({ action: "vendors", q: "co", subsidiary: "1" }).map(v => v.id), ["31"]);
+    assert.deepEqual(restlet.get({ action: "vendors", q: "acme", subsidiary: "2" }).map(v => v.id), ["30"]);
+    const lookup = restlet.get({ action: "lookupItems", skus: JSON.stringify(["GLV-001", "TAPE-02"]), vendorNames: JSON.stringify(["V-BOLT"]), subsidiary: "2" });
+    assert.deepEqual([Object.keys(lookup.items), lookup.vendors], [["glv-001"], {}]);
+    assert.equal(restlet.get({ action: "locations", subsidiary: "NZ" }).errors[0].field, "subsidiary");
+  });
+
+  test("maxResults caps list searches", () => {
+    const { restlet } = setup({ custscript_genia_max_results: "1" });
+    assert.deepEqual(restlet.get({ action: "locations" }), [{ id: "2", name: "Sydney" }]);
+  });
+
+  test("vendors matches name, code, email and phone once the query is two characters", () => {
+    const { restlet } = setup();
+    assert.deepEqual(restlet.get({ action: "vendors", q: "a" }), []);
+    assert.deepEqual(restlet.get({ action: "vendors", q: "acme" }), [{ id: "30", name: "Acme Supplies", code: "V-ACME", email: "sales@acme.test" }]);
+    assert.deepEqual(restlet.get({ action: "vendors", q: "bolt.test" }).map(v => v.id), ["31"]);
+    assert.deepEqual(restlet.get({ action: "vendors", q: "9999" }).map(v => v.id), ["30"]);
+    assert.deepEqual(restlet.get({ action: "vendors", q: "old" }), []);
+  });
+
+  test("items matches SKU or display name among active items", () => {
+    const { restlet } = setup();
+    assert.deepEqual(restlet.get({ action: "items", q: "glv" }), [{ id: "20", name: "Nitrile gloves", sku: "GLV-001", description: "Box of 100" }]);
+    assert.deepEqual(restlet.get({ action: "items", q: "tape" }).map(i => i.sku), ["TAPE-02"]);
+    assert.deepEqual(restlet.get({ action: "items", q: "widget" }), []);
+  });
+
+  test("lookupItems matches exactly and keys results by the lower-cased value", () => {
+    const { restlet } = setup();
+    const result = restlet.get({ action: "lookupItems", skus: JSON.stringify(["glv-001", "GLV", "OLD-99"]), vendorNames: JSON.stringify(["acme supplies", "V-BOLT", "Old Vendor"]) });
+    assert.deepEqual(Object.keys(result.items), ["glv-001"]);
+    assert.equal(result.items["glv-001"].id, "20");
+    assert.deepEqual(result.vendors, { "acme supplies": { id: "30", name: "V-ACME" }, "v-bolt": { id: "31", name: "V-BOLT" } });
+    assert.equal(restlet.get({ action: "lookupItems", skus: "{}" }).errors[0].code, "INVALID");
+    assert.equal(restlet.get({ action: "lookupItems", skus: JSON.stringify([...Array(501).keys()]) }).errors[0].code, "TOO_MANY");
+  });
+
+  test("itemVendors adds the last price paid and the 12-month average", () => {
+    const { ns, restlet } = setup();
+    ns.put("purchaseorder", { id: "63", entity: "30", trandate: daysAgo(2), sublists: { item: [{ item: "20", quantity: 1, rate: 13 }] } });
+    assert.deepEqual(restlet.get({ action: "itemVendors", itemId: "20" }), [
+      { id: "30", name: "Acme Supplies", purchasePrice: 12, lastPrice: 13, lastDate: iso(daysAgo(2)), averagePrice: 11.5, purchaseCount: 2 },
+      { id: "31", name: "Bolt & Co", purchasePrice: 11, lastPrice: 14, lastDate: iso(daysAgo(40)), averagePrice: 14, purchaseCount: 1 }
+    ]);
+    assert.deepEqual(restlet.get({ action: "itemVendors", itemId: "21" }), []);
+    assert.equal(restlet.get({ action: "itemVendors" }).errors[0].code, "REQUIRED");
+  });
+
+  test("itemVendors takes the last price from the vendor's latest order, however old", () => {
+    const { ns, restlet } = setup();
+    ns.put("noninventoryitem", { ...ns.get("noninventoryitem", "21"), sublists: { itemvendor: [{ vendor: "31", purchaseprice: 3 }] } });
+    ns.put("purchaseorder", { id: "64", entity: "31", trandate: daysAgo(700), sublists: { item: [{ item: "21", quantity: 1, rate: 2 }] } });
+    ns.put("purchaseorder", { id: "65", entity: "31", trandate: daysAgo(400), sublists: { item: [{ item: "21", quantity: 1, rate: 4 }] } });
+    ns.put("purchaseorder", { id: "66", entity: "31", trandate: daysAgo(400), sublists: { item: [{ item: "21", quantity: 1, rate: 5 }] } });
+    assert.deepEqual(restlet.get({ action: "itemVendors", itemId: "21" }), [{ id: "31", name: "Bolt & Co", purchasePrice: 3, lastPrice: 5, lastDate: iso(daysAgo(400)), averagePrice: null, purchaseCount: 0 }]);
+  });
+
+  test("requests pages an employee's lines, newest first, within the lookback", () => {
+    const { ns, restlet } = setup();
+    ns.put("purchaserequisition", { id: "14", entity: "5", trandate: daysAgo(200), sublists: { item: [{ item: "20", quantity: 1 }] } });
+    const page = restlet.get({ action: "requests", employeeId: "5", pageSize: "5" });
+    assert.equal(page.total, 4);
+    assert.deepEqual(page.results.map(r => r.tranId), ["REQ10", "REQ12", "REQ12", "REQ11"]);
+    assert.deepEqual(page.results[0], { id: "10", tranDate: page.results[0].tranDate, tranId: "REQ10", status: "Pending Approval", approvalStatus: "Pending Approval", nextApprover: "Grace Hopper", total: 36,
+      itemName: "Nitrile gloves", amount: 36, vendorId: "30", vendorName: "Acme Supplies", poNumber: "", poId: "", currency: "AUD" });
+    assert.deepEqual(page.results.at(-1), { ...page.results.at(-1), approvalStatus: "Approved", poNumber: "PO60", poId: "60", currency: "" });
+
+    const second = restlet.get({ action: "requests", employeeId: "5", pageSize: "5", page: "2" });
+    assert.deepEqual(second, { total: 4, page: 2, pageSize: 5, results: [] });
+
+    const ranged = restlet.get({ action: "requests", employeeId: "5", startDate: iso(daysAgo(300)), endDate: iso(daysAgo(100)) });
+    assert.deepEqual(ranged.results.map(r => r.id), ["14"]);
+    assert.equal(restlet.get({ action: "requests", employeeId: "5", startDate: "yesterday" }).errors[0].field, "startDate");
+  });
+
+  test("orderTracking shows receipts and line progress to the requisition's requestor only", () => {
+    const { restlet } = setup();
+    const order = restlet.get({ action: "orderTracking", poId: "60", employeeId: "5" });
+    assert.deepEqual(order, { id: "60", tranId: "PO60", status: "Partially Received", vendorName: "Acme Supplies", orderDate: iso(daysAgo(20)), expectedDate: iso(daysAgo(5)),
+      requisitions: [{ id: "11", tranId: "REQ11", date: iso(daysAgo(25)) }], receipts: [{ id: "70", tranId: "IR70", date: iso(daysAgo(10)) }], bills: [],
+      lines: [{ itemName: "Nitrile gloves", quantity: 10, received: 4, billed: 0, expectedDate: iso(daysAgo(5)) }] });
+    assert.equal(restlet.get({ action: "orderTracking", poId: "60", employeeId: "6" }).errors[0].code, "FORBIDDEN");
+  });
+
+  test("orderTracking finds a PO created from several lines of one requisition", () => {
+    const { ns, restlet } = setup();
+    ns.put("purchaseorder", { id: "63", tranid: "PO63", entity: "31", trandate: daysAgo(2), sublists: { item: [{ item: "20", quantity: 2, rate: 11 }, { item: "21", quantity: 1, rate: 4 }] } });
+    ns.put("purchaserequisition", { id: "14", tranid: "REQ14", entity: "5", trandate: daysAgo(4), approvalstatus: "2",
+      sublists: { item: [{ item: "20", quantity: 2, povendor: "31", linkedorder: "63" }, { item: "21", quantity: 1, povendor: "31", linkedorder: "63" }] } });
+    ns.put("vendorbill", { id: "71", tranid: "BILL71", createdfrom: "63", trandate: daysAgo(1) });
+
+    const order = restlet.get({ action: "orderTracking", poId: "63", employeeId: "5" });
+    assert.deepEqual(order.requisitions, [{ id: "14", tranId: "REQ14", date: iso(daysAgo(4)) }]);
+    assert.deepEqual(order.bills, [{ id: "71", tranId: "BILL71", date: iso(daysAgo(1)) }]);
+    assert.deepEqual(order.lines.map(l => l.itemName), ["Nitrile gloves", "Duct tape"]);
+  });
+
+  test("pendingApprovals groups lines under each requisition waiting on the approver", () => {
+    const { restlet } = setup();
+    const pending = restlet.get({ action: "pendingApprovals", approverId: "6" });
+    assert.deepEqual(pending.map(r => r.tranId), ["REQ12", "REQ10"]);
+    assert.deepEqual(pending[1], { id: "10", tranId: "REQ10", tranDate: pending[1].tranDate, requestor: "Ada Lovelace", memo: "For the lab", total: 36, currency: "AUD",
+      lines: [{ itemName: "Nitrile gloves", vendorName: "Acme Supplies", quantity: 3, amount: 36 }] });
+    assert.equal(pending[0].lines.length, 2);
+    assert.deepEqual(restlet.get({ action: "pendingApprovals", approverId: "5" }), []);
+  });
+
+  test("requisition returns allowed fields and whether it can still be edited", () => {
+    const { restlet } = setup();
+    const req = restlet.get({ action: "requisition", id: "10", employeeId: "5" });
+    assert.deepEqual(req, { id: "10", tranId: "REQ10", location: "2", editable: true, fields: { memo: "For the lab" },
+      items: [{ itemId: "20", itemName: "Nitrile gloves", vendorId: "30", vendorName: "Acme Supplies", pendingVendorId: "", quantity: 3, rate: 12, description: "Large", fields: {} }] });
+    assert.equal(restlet.get({ action: "requisition", id: "11", employeeId: "5" }).editable, false);
+    assert.equal(restlet.get({ action: "requisition", id: "10", employeeId: "6" }).errors[0].code, "FORBIDDEN");
+  });
+
+  test("possibleDuplicates finds open or recent lines for the same item and location", () => {
+    const { ns, restlet } = setup();
+    // Rejected, somewhere else, and an old requisition already ordered: none of them count
+    ns.put("purchaserequisition", { entity: "6", location: "2", trandate: daysAgo(1), approvalstatus: "3", sublists: { item: [{ item: "20", quantity: 1 }] } });
+    ns.put("purchaserequisition", { entity: "6", location: "8", trandate: daysAgo(1), approvalstatus: "1", sublists: { item: [{ item: "20", quantity: 1 }] } });
+    ns.put("purchaserequisition", { entity: "6", location: "2", trandate: daysAgo(30), approvalstatus: "2", sublists: { item: [{ item: "20", quantity: 1, linkedorder: "62" }] } });
+
+    const matches = restlet.get({ action: "possibleDuplicates", itemIds: JSON.stringify(["20", "21"]), location: "2" });
+    assert.deepEqual(matches, [
+      { type: "purchaserequisition", id: "10", tranId: "REQ10", date: iso(daysAgo(3)), requestor: "Ada Lovelace", itemId: "20", itemName: "Nitrile gloves", quantity: 3, status: "Pending Approval" },
+      { type: "purchaseorder", id: "60", tranId: "PO60", date: iso(daysAgo(20)), requestor: "Grace Hopper", itemId: "20", itemName: "Nitrile gloves", quantity: 10, status: "Partially Received" }
+    ]);
+    assert.deepEqual(restlet.get({ action: "possibleDuplicates", itemIds: JSON.stringify(["20"]), location: "2", excludeId: "10" }).map(m => m.tranId), ["PO60"]);
+    assert.deepEqual(restlet.get({ action: "possibleDuplicates", itemIds: "[]", location: "2" }), []);
+    assert.equal(restlet.get({ action: "possibleDuplicates", itemIds: JSON.stringify(["20"]) }).errors[0].code, "REQUIRED");
+  });
+
+  test("possibleDuplicates window comes from the deployment", () => {
+    const { ns, restlet } = setup({ custscript_genia_duplicate_window_days: "45" });
+    ns.put("purchaseorder", { id: "64", employee: "5", status: "PurchOrd:G", trandate: daysAgo(40), sublists: { item: [{ item: "21", quantity: 2, location: "2" }] } });
+    ns.put("purchaseorder", { id: "65", employee: "5", status: "PurchOrd:G", trandate: daysAgo(50), sublists: { item: [{ item: "21", quantity: 2, location: "2" }] } });
+    assert.deepEqual(restlet.get({ action: "possibleDuplicates", itemIds: JSON.stringify(["21"]), location: "2" }).map(m => m.id), ["64"]);
+  });
+
+  test("frequentItems ranks the employee's items with their usual vendor, quantity and last price", () => {
+    const { ns, restlet } = setup();
+    // Too old to count, rejected, and an inactive vendor that shouldn't be offered
+    ns.put("purchaserequisition", { entity: "5", trandate: daysAgo(400), approvalstatus: "2", sublists: { item: [{ item: "21", quantity: 9, povendor: "31" }] } });
+    ns.put("purchaserequisition", { entity: "5", trandate: daysAgo(2), approvalstatus: "3", sublists: { item: [{ item: "21", quantity: 9, povendor: "31" }] } });
+    ns.put("purchaserequisition", { entity: "5", trandate: daysAgo(30), approvalstatus: "2", sublists: { item: [{ item: "21", quantity: 3, rate: 6, povendor: "32" }] } });
+
+    assert.deepEqual(restlet.get({ action: "frequentItems", employeeId: "5" }), [
+      { itemId: "20", itemName: "Nitrile gloves", vendorId: "30", vendorName: "Acme Supplies", quantity: 3, lastPrice: 12, lastDate: iso(daysAgo(3)), timesRequested: 2 },
+      { itemId: "21", itemName: "Duct tape", vendorId: "", vendorName: "", quantity: 3, lastPrice: 5, lastDate: iso(daysAgo(10)), timesRequested: 2 }
+    ]);
+    const { restlet: limited } = setup({ custscript_genia_frequent_items_limit: "1" });
+    assert.deepEqual(limited.get({ action: "frequentItems", employeeId: "5" }).map(i => i.itemId), ["20"]);
+  });
+
+  test("frequentItems can rank everyone's requests at a location instead", () => {
+    const { ns, restlet } = setup();
+    ns.put("purchaserequisition", { entity: "6", location: "2", trandate: daysAgo(5), approvalstatus: "1", sublists: { item: [{ item: "21", quantity: 4, rate: 5, povendor: "31" }] } });
+    ns.put("purchaserequisition", { entity: "5", location: "2", trandate: daysAgo(6), approvalstatus: "2", sublists: { item: [{ item: "21", quantity: 4, povendor: "31" }, { item: "21", quantity: 1, povendor: "31" }] } });
+
+    assert.deepEqual(restlet.get({ action: "frequentItems", by: "location", location: "2" }).map(({ itemId, vendorName, quantity, timesRequested }) => ({ itemId, vendorName, quantity, timesRequested })), [
+      { itemId: "21", vendorName: "Bolt & Co", quantity: 4, timesRequested: 2 },
+      { itemId: "20", vendorName: "Acme Supplies", quantity: 3, timesRequested: 1 }
+    ]);
+    assert.equal(restlet.get({ action: "frequentItems", by: "location", employeeId: "5" }).errors[0].code, "REQUIRED");
+    assert.equal(restlet.get({ action: "frequentItems", by: "team", employeeId: "5" }).errors[0].code, "INVALID");
+  });
+
+  test("requisitionLines flags items and vendors gone inactive", () => {
+    const { restlet } = setup();
+    const { items } = restlet.get({ action: "requisitionLines", id: "12", employeeId: "5" });
+    assert.deepEqual(items.map(({ itemId, itemInactive, vendorInactive }) => ({ itemId, itemInactive, vendorInactive })), [
+      { itemId: "22", itemInactive: true, vendorInactive: true },
+      { itemId: "21", itemInactive: false, vendorInactive: false }
+    ]);
+  });
+});
+
+describe("post", () => {
+  const body = (overrides = {}) => ({ action: "createRequisition", requestorId: "5", subsidiary: "1", location: "2", items: [{ itemId: "20", vendorId: "30", quantity: 2, estimatedPrice: 12 }], ...overrides });
+
+  test("createRequisition saves the lines and starts the approval workflow", () => {
+    const { ns, restlet } = setup({ custscript_genia_line_fields: "expectedreceiptdate,custcol_project" });
+    const { id, tranId } = restlet.post(body({ memo: "Urgent", fields: { duedate: "2026-11-01" }, items: [{ itemId: "20", vendorId: "30", quantity: 2, estimatedPrice: 12, fields: { custcol_project: "P1" } }] }));
+    assert.equal(tranId, `REQ${id}`);
+    const saved = ns.get("purchaserequisition", id);
+    assert.equal(saved.entity, "5");
+    assert.equal(saved.memo, "Urgent");
+    assert.equal(iso(saved.duedate), "2026-11-01");
+    assert.deepEqual(saved.sublists.item, [{ item: "20", quantity: 2, rate: 12, povendor: "30", location: "2", custcol_project: "P1" }]);
+    assert.deepEqual(ns.tasks, [{ taskType: "WORKFLOW_TRIGGER", workflowId: "949", recordType: "purchaserequisition", recordId: id }]);
+  });
+
+  test("custom fields need listing, and the scripts' own fields can't be written even through a wildcard", () => {
+    const { restlet } = setup();
+    assert.equal(restlet.post(body({ fields: { custbody_anything: "x" } })).errors[0].code, "NOT_ALLOWED");
+
+    const { restlet: wide } = setup({ custscript_genia_header_fields: "memo,custbody_*", custscript_genia_line_fields: "custcol_*", custscript_genia_pending_vendor_line_field: "custcol_genia_pending_vendor" });
+    const result = wide.post(body({ fields: { custbody_genia_idempotency_key: "k", custbody_genia_rejection_reason: "r", custbody_altas_anz_so_po_notes: "poke", custbody_project: "P1" },
+      items: [{ itemId: "20", quantity: 1, fields: { custcol_genia_pending_vendor: "31" } }] }));
+    assert.deepEqual(result.errors.map(({ line, field }) => [line ?? null, field]), [
+      [null, "custbody_genia_idempotency_key"], [null, "custbody_genia_rejection_reason"], [null, "custbody_altas_anz_so_po_notes"], [1, "custcol_genia_pending_vendor"]
+    ]);
+  });
+
+  test("createRequisition reports every problem with its line", () => {
+    const { ns, restlet } = setup();
+    const result = restlet.post(body({ items: [{ itemId: "22", quantity: 0 }, { itemId: "99", vendorId: "32" }], fields: { entity: "6" } }));
+    assert.deepEqual(result.errors.map(({ line, field, code }) => [line, field, code]), [
+      [1, "itemId", "INACTIVE"], [1, "quantity", "INVALID"], [2, "itemId", "NOT_FOUND"], [2, "vendorId", "INACTIVE"], [null, "entity", "NOT_ALLOWED"]
+    ]);
+    assert.equal(restlet.post(body({ requestorId: "", items: [] })).errors.length, 2);
+    assert.equal(ns.all("purchaserequisition").length, 4);
+  });
+
+  test("createRequisition replays a repeated idempotency key", () => {
+    const { ns, restlet } = setup();
+    const created = restlet.post(body({ idempotencyKey: "abc" }));
+    assert.deepEqual(restlet.post(body({ idempotencyKey: "abc" })), created);
+    assert.equal(ns.all("purchaserequisition").length, 5);
+    assert.equal(ns.tasks.length, 1);
+  });
+
+  test("createRequisition only replays a key for the same requestor and lines", () => {
+    const { ns, restlet } = setup();
+    const created = restlet.post(body({ idempotencyKey: "abc" }));
+    assert.deepEqual(restlet.post(body({ idempotencyKey: "abc", items: [{ itemId: "21", quantity: 1 }] })).errors[0], { line: undefined, field: "idempotencyKey", code: "CONFLICT", message: "This submission key was already used for a different requisition" });
+    const other = restlet.post(body({ idempotencyKey: "abc", requestorId: "6" }));
+    assert.notEqual(other.id, created.id);
+    assert.equal(ns.all("purchaserequisition").length, 6);
+    // Validation comes first, so an invalid payload learns nothing about the key
+    assert.equal(restlet.post(body({ idempotencyKey: "abc", items: [] })).errors[0].code, "REQUIRED");
+  });
+
+  test("createRequisition adds a new vendor to the item once", () => {
+    const { ns, restlet } = setup();
+    restlet.post(body({ items: [{ itemId: "21", vendorId: "31", estimatedPrice: 4, isNewVendor: true }] }));
+    restlet.post(body({ items: [{ itemId: "21", vendorId: "31", estimatedPrice: 5, isNewVendor: true }] }));
+    assert.deepEqual(ns.get("noninventoryitem", "21").sublists.itemvendor, [{ vendor: "31", purchaseprice: 4 }]);
+  });
+
+  test("createRequisition notes a requested vendor on the line instead of setting povendor", () => {
+    const { ns, restlet } = setup();
+    const { id } = restlet.post(body({ items: [{ itemId: "20", pendingVendorId: "32", description: "Blue" }] }));
+    assert.deepEqual(ns.get("purchaserequisition", id).sublists.item[0], { item: "20", quantity: 1, description: "Pending vendor: Old Vendor (#32) - Blue", location: "2" });
+  });
+
+  test("requisition hands a requested vendor back as pendingVendorId, and saving it keeps one note", () => {
+    const { ns, restlet } = setup();
+    const { id } = restlet.post(body({ items: [{ itemId: "20", pendingVendorId: "32", description: "Blue" }] }));
+    const [line] = restlet.get({ action: "requisition", id, employeeId: "5" }).items;
+    assert.deepEqual({ vendorId: line.vendorId, vendorName: line.vendorName, pendingVendorId: line.pendingVendorId, description: line.description },
+      { vendorId: "", vendorName: "Old Vendor", pendingVendorId: "32", description: "Blue" });
+
+    restlet.post({ action: "updateRequisition", id, requestorId: "5", items: [{ ...line, description: "Pending vendor: Old Vendor (#32) - Blue" }] });
+    assert.equal(ns.get("purchaserequisition", id).sublists.item[0].description, "Pending vendor: Old Vendor (#32) - Blue");
+    restlet.post({ action: "updateRequisition", id, requestorId: "5", items: [{ itemId: "20", vendorId: "30", description: "Pending vendor: Old Vendor (#32) - Blue" }] });
+    assert.equal(ns.get("purchaserequisition", id).sublists.item[0].description, "Blue");
+  });
+
+  test("requisitionLines carries a requested vendor over to the new request", () => {
+    const { restlet } = setup();
+    const { id } = restlet.post(body({ items: [{ itemId: "20", pendingVendorId: "32", description: "Blue" }] }));
+    const [line] = restlet.get({ action: "requisitionLines", id, employeeId: "5" }).items;
+    assert.deepEqual({ vendorId: line.vendorId, vendorName: line.vendorName, pendingVendorId: line.pendingVendorId, description: line.description },
+      { vendorId: "", vendorName: "Old Vendor", pendingVendorId: "32", description: "Blue" });
+  });
+
+  test("createRequisition saves attachments once a folder is configured", () => {
+    const attachments = [{ name: "quote.pdf", type: "application/pdf", content: "JVBERi0=" }];
+    const { restlet } = setup();
+    assert.equal(restlet.post(body({ attachments })).errors[0].code, "NOT_CONFIGURED");
+
+    const { ns, restlet: configured } = setup({ custscript_genia_attachment_folder: "77" });
+    const { id, tranId } = configured.post(body({ attachments }));
+    assert.equal(ns.files[0].name, `${tranId}-1-quote.pdf`);
+    assert.equal(ns.attachments[0].to.id, id);
+  });
+
+  test("updateRequisition replaces the lines and sends the requisition back for approval", () => {
+    const { ns, restlet } = setup();
+    ns.put("purchaserequisition", { ...ns.get("purchaserequisition", "12"), approvalstatus: "3" });
+    const result = restlet.post({ action: "updateRequisition", id: "12", requestorId: "5", location: "8", memo: "Fewer", items: [{ itemId: "21", quantity: 4, estimatedPrice: 5 }] });
+    assert.deepEqual(result, { id: "12", tranId: "REQ12" });
+    const saved = ns.get("purchaserequisition", "12");
+    assert.equal(saved.approvalstatus, "1");
+    assert.equal(saved.location, "8");
+    assert.equal(saved.memo, "Fewer");
+    assert.deepEqual(saved.sublists.item, [{ item: "21", quantity: 4, rate: 5, location: "8" }]);
+    assert.deepEqual(ns.tasks.map(t => t.recordId), ["12"]);
+  });
+
+  test("updateRequisition refuses other people's, approved, ordered and cancelled requisitions", () => {
+    const { ns, restlet } = setup();
+    const update = (id, requestorId = "5") => restlet.post({ action: "updateRequisition", id, requestorId, items: [{ itemId: "21", quantity: 1 }] });
+    assert.deepEqual(update("10", "6"), { ok: false, errors: [{ line: undefined, field: "id", code: "FORBIDDEN", message: "You can only change your own requisitions" }] });
+    assert.deepEqual(update("11").errors[0], { line: undefined, field: "id", code: "LOCKED", message: "REQ11 is already approved" });
+    ns.put("purchaserequisition", { id: "15", tranid: "REQ15", entity: "5", approvalstatus: "1", sublists: { item: [{ item: "20", quantity: 1, linkedorder: "62" }] } });
+    assert.equal(update("15").errors[0].message, "REQ15 is already on a purchase order");
+    ns.put("purchaserequisition", { id: "16", tranid: "REQ16", entity: "5", approvalstatus: "1", sublists: { item: [{ item: "20", quantity: 1, isclosed: true }] } });
+    assert.equal(update("16").errors[0].message, "REQ16 is already cancelled");
+    assert.equal(restlet.post({ action: "updateRequisition", id: "10", requestorId: "5", items: [] }).errors[0].code, "REQUIRED");
+    assert.deepEqual(ns.get("purchaserequisition", "10").sublists.item, seed().purchaserequisition[0].sublists.item);
+    assert.deepEqual(ns.tasks, []);
+  });
+
+  test("cancelRequisition closes every line, once, and only for the requestor", () => {
+    const { ns, restlet } = setup();
+    assert.equal(restlet.post({ action: "cancelRequisition", id: "12", requestorId: "6" }).errors[0].code, "FORBIDDEN");
+    assert.deepEqual(restlet.post({ action: "cancelRequisition", id: "12", requestorId: "5" }), { id: "12", tranId: "REQ12", cancelled: true });
+    assert.deepEqual(ns.get("purchaserequisition", "12").sublists.item.map(l => l.isclosed), [true, true]);
+    assert.equal(restlet.post({ action: "cancelRequisition", id: "12", requestorId: "5" }).errors[0].code, "LOCKED");
+    assert.equal(restlet.post({ action: "cancelRequisition", id: "11", requestorId: "5" }).errors[0].code, "LOCKED");
+    assert.equal(restlet.post({ action: "cancelRequisition", requestorId: "5" }).errors[0].code, "REQUIRED");
+  });
+
+  test("decide records the approver's decision and nudges the workflow", () => {
+    const { ns, restlet } = setup();
+    assert.deepEqual(restlet.post({ action: "decide", id: "10", approverId: "6", decision: "approve" }), { id: "10", tranId: "REQ10", decision: "approve" });
+    assert.equal(ns.get("purchaserequisition", "10").approvalstatus, "2");
+    assert.deepEqual(restlet.post({ action: "decide", id: "12", approverId: "6", decision: "reject", reason: " Over budget " }).decision, "reject");
+    assert.deepEqual(ns.submitted.at(-1).values, { approvalstatus: "3", custbody_genia_rejection_reason: "Over budget" });
+    assert.deepEqual(ns.tasks.map(t => t.recordId), ["10", "12"]);
+  });
+
+  test("decide refuses the wrong approver, a decided requisition and a rejection without a reason", () => {
+    const { ns, restlet } = setup();
+    const decide = body => restlet.post({ action: "decide", id: "10", approverId: "6", decision: "approve", ...body }).errors[0];
+    assert.deepEqual(decide({ approverId: "5" }), { line: undefined, field: "approverId", code: "FORBIDDEN", message: "REQ10 is waiting on someone else" });
+    assert.deepEqual(decide({ id: "11" }), { line: undefined, field: "id", code: "LOCKED", message: "REQ11 is no longer pending approval" });
+    assert.equal(decide({ decision: "reject", reason: "  " }).field, "reason");
+    assert.equal(decide({ decision: "maybe" }).code, "INVALID");
+    assert.equal(decide({ approverId: "" }).code, "REQUIRED");
+    assert.deepEqual(ns.submitted, []);
+    assert.deepEqual(ns.tasks, []);
+  });
+
+  test("requestVendor creates an inactive vendor for procurement, once per name", () => {
+    const { ns, restlet } = setup();
+    const requested = restlet.post({ action: "requestVendor", requestorId: "5", subsidiary: "2", name: " Kiwi Tools ", email: "sales@kiwi.test", website: "kiwi.test", taxId: "123" });
+    assert.deepEqual(requested, { id: requested.id, name: "Kiwi Tools", pending: true });
+    const { id, type, sublists, ...fields } = ns.get("vendor", requested.id);
+    assert.deepEqual(fields, { companyname: "Kiwi Tools", subsidiary: "2", isinactive: true, email: "sales@kiwi.test", url: "https://kiwi.test", vatregnumber: "123",
+      comments: "Requested from the web app by employee 5" });
+    assert.equal(ns.logs.at(-1).title, "VENDOR_REQUESTED");
+
+    assert.deepEqual(restlet.post({ action: "requestVendor", requestorId: "6", name: "Kiwi Tools" }), requested);
+    assert.equal(ns.all("vendor").length, 4);
+  });
+
+  test("requestVendor rejects active vendors and bad contact details", () => {
+    const { restlet } = setup();
+    assert.deepEqual(restlet.post({ action: "requestVendor", requestorId: "5", name: "Acme Supplies" }).errors[0],
+      { line: undefined, field: "name", code: "DUPLICATE", message: "Acme Supplies is already a vendor - search for it instead" });
+    const result = restlet.post({ action: "requestVendor", name: "", email: "nope", website: "not a site" });
+    assert.deepEqual(result.errors.map(e => [e.field, e.code]), [["requestorId", "REQUIRED"], ["name", "REQUIRED"], ["email", "INVALID"], ["website", "INVALID"]]);
+  });
+
+  test("unknown post actions are field errors", () => {
+    const { restlet } = setup();
+    assert.equal(restlet.post({ action: "drop" }).errors[0].code, "UNKNOWN_ACTION");
+  });
+});
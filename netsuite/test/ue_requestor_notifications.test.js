@@ -0,0 +1,91 @@
+// Run with: node --test netsuite/test/
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { createNetSuite, loadScript } = require("./fake-netsuite");
+
+const SCRIPT = path.join(__dirname, "..", "ue_requestor_notifications.js");
+const UserEventType = { CREATE: "create", EDIT: "edit", XEDIT: "xedit", DELETE: "delete" };
+
+const seed = () => ({
+  employee: [
+    { id: "5", firstname: "Ada", email: "ada@example.com" },
+    { id: "6", firstname: "Grace", email: "grace@example.com", custentity_genia_notify_optout: true },
+    { id: "7", firstname: "Alan", email: "alan@example.com", custentity_genia_notify_templates: JSON.stringify({ approved: { subject: "Good news on {tranId}" } }) },
+    { id: "8", firstname: "Edsger", email: "edsger@example.com", custentity_genia_notify_templates: "not json" }
+  ],
+  vendor: [{ id: "30", entityid: "V-ACME", companyname: "Acme Supplies" }],
+  noninventoryitem: [{ id: "20", itemid: "GLV-001", displayname: "Nitrile gloves" }, { id: "21", itemid: "TAPE-02", displayname: "Duct tape" }],
+  purchaseorder: [{ id: "60", tranid: "PO60", entity: "30", duedate: new Date(2026, 10, 5) }],
+  purchaserequisition: [
+    { id: "10", tranid: "REQ10", entity: "5", approvalstatus: "2", sublists: { item: [{ item: "20", quantity: 3, linkedorder: "60" }, { item: "21", quantity: 1, linkedorder: "60" }] } },
+    { id: "11", tranid: "REQ11", entity: "6", approvalstatus: "2", sublists: { item: [{ item: "20", quantity: 2, linkedorder: "60" }] } },
+    { id: "12", tranid: "REQ12", entity: "5", approvalstatus: "3", custbody_genia_rejection_reason: "Over budget", sublists: { item: [{ item: "21", quantity: 1 }] } },
+    { id: "13", tranid: "REQ13", entity: "7", approvalstatus: "2", sublists: { item: [{ item: "21", quantity: 1 }] } },
+    { id: "14", tranid: "REQ14", entity: "8", approvalstatus: "2", sublists: { item: [{ item: "21", quantity: 1 }] } }
+  ]
+});
+
+const setup = (parameters = {}) => {
+  const ns = createNetSuite(seed(), { parameters: { custscript_genia_notify_author: "99", custscript_genia_notify_templates_field: "custentity_genia_notify_templates", ...parameters } });
+  return { ns, notifications: loadScript(SCRIPT, ns) };
+};
+const poCreated = notifications => notifications.afterSubmit({ type: UserEventType.CREATE, UserEventType, newRecord: { id: "60", type: "purchaseorder" } });
+const decided = (notifications, id, previousStatus = "1") => notifications.afterSubmit({ type: UserEventType.XEDIT, UserEventType,
+  newRecord: { id, type: "purchaserequisition" }, oldRecord: { getValue: field => (field === "approvalstatus" ? previousStatus : "") } });
+
+test("a new PO emails each requestor their own lines, skipping those who opted out", () => {
+  const { ns, notifications } = setup();
+  poCreated(notifications);
+  assert.equal(ns.emails.length, 1);
+  const [sent] = ns.emails;
+  assert.equal(sent.author, "99");
+  assert.equal(sent.recipients, "5");
+  assert.equal(sent.subject, "REQ10 is on purchase order PO60");
+  assert.match(sent.body, /^Hi Ada,/);
+  assert.match(sent.body, /ordered on PO60 from Acme Supplies/);
+  assert.match(sent.body, /- Nitrile gloves x 3\n- Duct tape x 1/);
+  assert.match(sent.body, /Expected: 5\/11\/2026/);
+  assert.deepEqual(sent.relatedRecords, { transactionId: "60" });
+  assert.deepEqual(ns.logs.map(l => l.title), ["NOTIFY_SENT", "NOTIFY_SKIPPED"]);
+});
+
+test("approval and rejection email the requestor once the status changes", () => {
+  const { ns, notifications } = setup({ custscript_genia_notify_rejected_subject: "Not this time: {tranId}" });
+  decided(notifications, "10");
+  decided(notifications, "12");
+  assert.deepEqual(ns.emails.map(e => e.subject), ["REQ10 was approved", "Not this time: REQ12"]);
+  assert.match(ns.emails[1].body, /Reason: Over budget/);
+
+  decided(notifications, "10", "2");
+  assert.equal(ns.emails.length, 2);
+});
+
+test("an employee's own template overrides the deployment's, and a broken one falls back", () => {
+  const { ns, notifications } = setup();
+  decided(notifications, "13");
+  decided(notifications, "14");
+  assert.deepEqual(ns.emails.map(e => e.subject), ["Good news on REQ13", "REQ14 was approved"]);
+  assert.match(ns.emails[0].body, /^Hi Alan,\n\nYour request REQ13 was approved/);
+  assert.equal(ns.logs.find(l => l.title === "NOTIFY_TEMPLATE_INVALID").level, "audit");
+});
+
+test("a failed send is logged rather than thrown", () => {
+  const { ns, notifications } = setup();
+  ns.modules["N/email"].send = () => { throw new Error("SMTP down"); };
+  decided(notifications, "10");
+  assert.deepEqual(ns.logs.at(-1), { level: "error", title: "NOTIFY_FAILED", details: "approved REQ10 -> employee 5: SMTP down" });
+
+  const { ns: unset, notifications: unconfigured } = setup({ custscript_genia_notify_author: "" });
+  decided(unconfigured, "10");
+  assert.deepEqual(unset.emails, []);
+  assert.match(unset.logs.at(-1).details, /custscript_genia_notify_author is not set/);
+});
+
+test("requisition creates and deletes send nothing", () => {
+  const { ns, notifications } = setup();
+  notifications.afterSubmit({ type: UserEventType.CREATE, UserEventType, newRecord: { id: "10", type: "purchaserequisition" } });
+  notifications.afterSubmit({ type: UserEventType.DELETE, UserEventType, newRecord: { id: "60", type: "purchaseorder" } });
+  assert.deepEqual(ns.emails, []);
+  assert.deepEqual(ns.logs, []);
+});
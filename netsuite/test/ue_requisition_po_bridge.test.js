@@ -0,0 +1,42 @@
+// Run with: node --test netsuite/test/
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { createNetSuite, loadScript } = require("./fake-netsuite");
+
+const SCRIPT = path.join(__dirname, "..", "ue_requisition_po_bridge.js");
+const UserEventType = { CREATE: "create", EDIT: "edit", XEDIT: "xedit", DELETE: "delete" };
+
+const setup = (parameters = {}) => {
+  const ns = createNetSuite({ purchaserequisition: [{ id: "10", entity: "5" }] }, { parameters });
+  return { ns, bridge: loadScript(SCRIPT, ns) };
+};
+const afterSubmit = (bridge, type) => bridge.afterSubmit({ type, UserEventType, newRecord: { id: "10", type: "purchaserequisition" } });
+
+test("create pokes the requisition so the workflow picks it up", () => {
+  const { ns, bridge } = setup();
+  afterSubmit(bridge, UserEventType.CREATE);
+  assert.equal(ns.submitted.length, 1);
+  assert.match(ns.submitted[0].values.custbody_altas_anz_so_po_notes, /^Bridge Trigger: \d+$/);
+  assert.equal(ns.logs.at(-1).title, "BRIDGE_POKE_SUCCESS");
+});
+
+test("the poke field can be set per deployment", () => {
+  const { ns, bridge } = setup({ custscript_genia_bridge_poke_field: "custbody_wake" });
+  afterSubmit(bridge, UserEventType.CREATE);
+  assert.deepEqual(Object.keys(ns.submitted[0].values), ["custbody_wake"]);
+});
+
+test("edits and deletes are left alone", () => {
+  const { ns, bridge } = setup();
+  [UserEventType.EDIT, UserEventType.XEDIT, UserEventType.DELETE].forEach(type => afterSubmit(bridge, type));
+  assert.deepEqual(ns.submitted, []);
+  assert.deepEqual(ns.logs, []);
+});
+
+test("a bad poke field is logged rather than thrown", () => {
+  const { ns, bridge } = setup({ custscript_genia_bridge_poke_field: "memo" });
+  afterSubmit(bridge, UserEventType.CREATE);
+  assert.deepEqual(ns.submitted, []);
+  assert.equal(ns.logs.at(-1).title, "BRIDGE_POKE_FAILED");
+});
@@ -0,0 +1,151 @@
+/**
+ * @NApiVersion 2.1
+ * @NScriptType UserEventScript
+ *
+ * Deploy on both Purchase Order and Purchase Requisition.
+ * PO create emails the requestors of the requisitions it was raised from;
+ * a requisition moving to Approved or Rejected emails its requestor.
+ *
+ * Templates come from the deployment parameters, and an employee can override
+ * them: set custscript_genia_notify_templates_field to a long-text employee field
+ * holding JSON such as {"ordered": {"subject": "...", "body": "..."}}.
+ */
+define(['N/search', 'N/email', 'N/runtime', 'N/log'], (search, email, runtime, log) => {
+    const APPROVAL = { APPROVED: '2', REJECTED: '3' };
+
+    // Used when the deployment leaves a template parameter blank.
+    // Placeholders: {name} {tranId} {poNumber} {vendor} {items} {expectedDate} {reason}
+    const DEFAULT_TEMPLATES = {
+        ordered: {
+            subject: '{tranId} is on purchase order {poNumber}',
+            body: 'Hi {name},\n\nYour request {tranId} has been ordered on {poNumber} from {vendor}.\n\n{items}\n\nExpected: {expectedDate}'
+        },
+        approved: {
+            subject: '{tranId} was approved',
+            body: 'Hi {name},\n\nYour request {tranId} was approved and is waiting to be ordered.'
+        },
+        rejected: {
+            subject: '{tranId} was rejected',
+            body: 'Hi {name},\n\nYour request {tranId} was rejected.\n\nReason: {reason}'
+        }
+    };
+
+    const getParam = (name, fallback) => {
+        const value = runtime.getCurrentScript().getParameter({ name });
+        return value == null || String(value).trim() === '' ? fallback : String(value).trim();
+    };
+
+    const render = (template, values) => template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+    const firstValue = (v) => (Array.isArray(v) ? (v[0] || {}).value || '' : v || '');
+    const firstText = (v) => (Array.isArray(v) ? (v[0] || {}).text || '' : v || '');
+
+    // An employee's own templates, keyed by event; a broken value is logged and the deployment's templates are used
+    const employeeTemplates = (raw, tag) => {
+        if (!raw) return {};
+        try {
+            const parsed = JSON.parse(raw);
+            if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+        } catch (e) {}
+        log.audit({ title: 'NOTIFY_TEMPLATE_INVALID', details: `${tag}: employee templates are not a JSON object, using the defaults.` });
+        return {};
+    };
+
+    const template = (event, part, own) => (typeof own?.[part] === 'string' && own[part].trim()) ||
+        getParam(`custscript_genia_notify_${event}_${part}`, DEFAULT_TEMPLATES[event][part]);
+
+    // Employees can opt out with a checkbox on their record; every outcome is logged.
+    const notify = (event, employeeId, transactionId, values) => {
+        const tag = `${event} ${values.tranId} -> employee ${employeeId}`;
+        try {
+            const author = getParam('custscript_genia_notify_author', '');
+            if (!author) throw new Error('custscript_genia_notify_author is not set');
+
+            const optOutField = getParam('custscript_genia_notify_optout_field', 'custentity_genia_notify_optout');
+            const templatesField = getParam('custscript_genia_notify_templates_field', '');
+            const columns = ['email', 'firstname', optOutField].concat(templatesField ? [templatesField] : []);
+            const employee = search.lookupFields({ type: 'employee', id: employeeId, columns });
+            if (employee[optOutField] === true || employee[optOutField] === 'T') {
+                log.audit({ title: 'NOTIFY_SKIPPED', details: `${tag}: opted out.` });
+                return;
+            }
+            if (!employee.email) {
+                log.audit({ title: 'NOTIFY_SKIPPED', details: `${tag}: no email address.` });
+                return;
+            }
+
+            const merged = Object.assign({ name: employee.firstname || 'there' }, values);
+            const own = employeeTemplates(templatesField && employee[templatesField], tag)[event];
+            email.send({
+                author,
+                recipients: employeeId,
+                subject: render(template(event, 'subject', own), merged),
+                body: render(template(event, 'body', own), merged),
+                relatedRecords: { transactionId }
+            });
+
+            log.audit({ title: 'NOTIFY_SENT', details: `${tag} sent.` });
+        } catch (e) {
+            log.error({ title: 'NOTIFY_FAILED', details: `${tag}: ${e.message || e}` });
+        }
+    };
+
+    const notifyOrdered = (poId) => {
+        const po = search.lookupFields({ type: 'purchaseorder', id: poId, columns: ['tranid', 'entity', 'duedate'] });
+
+        // One email per source requisition, listing only that requisition's lines
+        const requisitions = new Map();
+        search.create({
+            type: 'purchaserequisition',
+            filters: [['mainline', 'is', 'F'], 'AND', ['linkedorder', 'anyof', poId]],
+            columns: ['internalid', 'tranid', 'entity', 'item', 'quantity']
+        }).run().each((r) => {
+            const id = r.getValue('internalid');
+            if (!requisitions.has(id)) {
+                requisitions.set(id, { tranId: r.getValue('tranid'), requestor: r.getValue('entity'), items: [] });
+            }
+            requisitions.get(id).items.push(`- ${r.getText('item')} x ${r.getValue('quantity')}`);
+            return true;
+        });
+
+        requisitions.forEach((req) => notify('ordered', req.requestor, poId, {
+            tranId: req.tranId,
+            poNumber: po.tranid,
+            vendor: firstText(po.entity),
+            items: req.items.join('\n'),
+            expectedDate: po.duedate || 'to be confirmed'
+        }));
+    };
+
+    const notifyDecision = (context) => {
+        const id = context.newRecord.id;
+        const rejectionField = getParam('custscript_genia_rejection_field', 'custbody_genia_rejection_reason');
+        const req = search.lookupFields({ type: 'purchaserequisition', id, columns: ['tranid', 'entity', 'approvalstatus', rejectionField] });
+
+        // XEDIT records only carry changed fields, so compare against the stored status
+        const status = firstValue(req.approvalstatus);
+        if (!context.oldRecord || String(context.oldRecord.getValue('approvalstatus')) === status) return;
+
+        if (status === APPROVAL.APPROVED) {
+            notify('approved', firstValue(req.entity), id, { tranId: req.tranid });
+        } else if (status === APPROVAL.REJECTED) {
+            notify('rejected', firstValue(req.entity), id, { tranId: req.tranid, reason: req[rejectionField] || 'No reason given' });
+        }
+    };
+
+    return {
+        afterSubmit: (context) => {
+            const { type, UserEventType } = context;
+            if (type === UserEventType.DELETE) return;
+
+            try {
+                if (context.newRecord.type === 'purchaseorder' && type === UserEventType.CREATE) {
+                    notifyOrdered(context.newRecord.id);
+                } else if (context.newRecord.type === 'purchaserequisition' && type !== UserEventType.CREATE) {
+                    notifyDecision(context);
+                }
+            } catch (e) {
+                log.error({ title: 'NOTIFY_FAILED', details: e });
+            }
+        }
+    };
+});
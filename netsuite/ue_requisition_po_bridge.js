@@ -2,7 +2,17 @@
  * @NApiVersion 2.1
  * @NScriptType UserEventScript
  */
-define(['N/record', 'N/log'], (record, log) => {
+define(['N/record', 'N/log', 'N/runtime'], (record, log, runtime) => {
+    // The body field written to wake the workflow. Set per deployment so sandbox and production can differ.
+    const DEFAULT_POKE_FIELD = 'custbody_altas_anz_so_po_notes';
+
+    const getPokeField = () => {
+        const value = String(runtime.getCurrentScript().getParameter({ name: 'custscript_genia_bridge_poke_field' }) || '').trim();
+        if (!value) return DEFAULT_POKE_FIELD;
+        if (!/^custbody_\w+$/.test(value)) throw new Error(`custscript_genia_bridge_poke_field must be a custbody_ field id, got "${value}"`);
+        return value;
+    };
+
     return {
         afterSubmit: (context) => {
             if (context.type !== context.UserEventType.CREATE) return;
@@ -14,7 +24,7 @@ define(['N/record', 'N/log'], (record, log) => {
                     type: 'purchaserequisition',
                     id: context.newRecord.id,
                     values: {
-                        'custbody_altas_anz_so_po_notes': `Bridge Trigger: ${new Date().getTime()}`
+                        [getPokeField()]: `Bridge Trigger: ${new Date().getTime()}`
                     },
                     options: {
                         enableSourcing: false,
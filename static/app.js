@@ -5,10 +5,12 @@ const employeeIdHidden = document.getElementById("employee-id");
 const locationSelect = document.getElementById("location-select");
 const locationIdHidden = document.getElementById("location-id");
 const requestorIdInput = document.getElementById("requestor-id");
+const requisitionIdInput = document.getElementById("requisition-id");
 const requisitionForm = document.getElementById("requisition-form");
 const itemsContainer = document.getElementById("items-container");
 const addItemButton = document.getElementById("add-item");
 const refreshBtn = document.getElementById("refresh-requests");
+const refreshApprovalsBtn = document.getElementById("refresh-approvals");
 
 // Storage
 const STORAGE_KEY = "genia.employeeId";
@@ -21,8 +23,133 @@ const storage = {
   remove(k) { try { localStorage.removeItem(k); } catch {} }
 };
 
+// Screen-reader announcements (result counts etc.)
+function announce(msg) {
+  const region = document.getElementById("sr-status");
+  if (region) region.textContent = msg;
+}
+
+// Combobox: a text input that drives a listbox, following the WAI-ARIA combobox
+// pattern. Callers render each option element; the combobox owns roles, ids,
+// the highlighted option and keyboard handling. `inline` listboxes are always
+// on screen (the vendor modal), so Escape falls through to `onEscape`.
+let comboboxCount = 0;
+
+function createCombobox({ input, listbox, openClass = "open", inline = false, onSelect, onEscape }) {
+  const listId = listbox.id || (listbox.id = `combobox-${++comboboxCount}`);
+  let options = [];
+  let active = -1;
+
+  input.setAttribute("role", "combobox");
+  input.setAttribute("aria-autocomplete", "list");
+  input.setAttribute("aria-controls", listId);
+  input.setAttribute("aria-expanded", String(inline));
+  listbox.setAttribute("role", "listbox");
+
+  const visible = () => options.filter(o => !o.el.classList.contains("hidden"));
+  const isOpen = () => inline || listbox.classList.contains(openClass);
+
+  const highlight = idx => {
+    const shown = visible();
+    options.forEach(o => {
+      o.el.classList.remove("active");
+      o.el.setAttribute("aria-selected", "false");
+    });
+    active = shown.length && idx >= 0 ? idx % shown.length : -1;
+    const opt = shown[active];
+    if (!opt) {
+      input.removeAttribute("aria-activedescendant");
+      return;
+    }
+    opt.el.classList.add("active");
+    opt.el.setAttribute("aria-selected", "true");
+    input.setAttribute("aria-activedescendant", opt.el.id);
+    opt.el.scrollIntoView({ block: "nearest" });
+  };
+
+  const open = () => {
+    if (!inline) listbox.classList.add(openClass);
+    input.setAttribute("aria-expanded", "true");
+  };
+
+  const close = () => {
+    if (!inline) {
+      listbox.classList.remove(openClass);
+      input.setAttribute("aria-expanded", "false");
+    }
+    highlight(-1);
+  };
+
+  const countMessage = n => n ? `${n} result${n === 1 ? "" : "s"} available.` : "No results.";
+
+  // Replace the options; render(value) returns the element to show for each value
+  const setOptions = (values, render) => {
+    listbox.innerHTML = "";
+    options = values.map((value, i) => {
+      const el = render(value);
+      el.id = `${listId}-opt-${i}`;
+      el.setAttribute("role", "option");
+      el.setAttribute("aria-selected", "false");
+      // Keep focus in the input when an option is clicked
+      el.addEventListener("mousedown", e => e.preventDefault());
+      el.addEventListener("click", () => onSelect(value));
+      listbox.appendChild(el);
+      return { el, value };
+    });
+    highlight(-1);
+    announce(countMessage(values.length));
+  };
+
+  // Show only the options matching predicate; returns how many are left
+  const filter = predicate => {
+    options.forEach(o => o.el.classList.toggle("hidden", !predicate(o.value)));
+    highlight(-1);
+    const n = visible().length;
+    announce(countMessage(n));
+    return n;
+  };
+
+  input.addEventListener("keydown", e => {
+    const count = visible().length;
+    switch (e.key) {
+      case "ArrowDown":
+        e.preventDefault();
+        if (!isOpen()) open();
+        highlight(active + 1);
+        break;
+      case "ArrowUp":
+        e.preventDefault();
+        if (!isOpen()) open();
+        highlight(active <= 0 ? count - 1 : active - 1);
+        break;
+      case "Enter":
+        if (isOpen() && active >= 0) {
+          e.preventDefault();
+          onSelect(visible()[active].value);
+        }
+        break;
+      case "Escape":
+        if (isOpen() && !inline) {
+          e.preventDefault();
+          e.stopPropagation();
+          close();
+        } else if (onEscape) {
+          e.preventDefault();
+          onEscape();
+        }
+        break;
+      case "Tab":
+        if (!inline) close();
+        break;
+    }
+  });
+
+  return { open, close, isOpen, setOptions, filter };
+}
+
 // Employee
 let allEmployees = [];
+let employeeCombobox = null;
 
 function setEmployee(id, name) {
   if (id) {
@@ -56,34 +183,94 @@ async function loadEmployees() {
   }
 }
 
-// Location
-const EXCLUDED_LOCATION_IDS = ["8"]; // Offsite
+// Config from the RESTlet deployment (excluded locations, default subsidiary and its currency)
+let appConfig = { excludedLocationIds: [], defaultSubsidiary: "", spendThresholds: [], currency: "" };
+
+async function loadConfig() {
+  try {
+    const res = await fetch("/api/config");
+    if (!res.ok) throw new Error("Failed to load");
+    appConfig = { ...appConfig, ...(await res.json()) };
+    const subsidiaryInput = document.getElementById("subsidiary");
+    if (subsidiaryInput && appConfig.defaultSubsidiary) subsidiaryInput.value = appConfig.defaultSubsidiary;
+  } catch (err) {
+    console.error("Config load error:", err);
+  }
+}
+
+const configReady = loadConfig();
+
+// Subsidiary: the selected employee's decides the locations on offer, which
+// items and vendors searches return, and the currency amounts are shown in
+let activeSubsidiary = "";
+let activeCurrency = "";
+let locationsSubsidiary = null;
 
+async function applyEmployeeSubsidiary() {
+  await configReady;
+  const emp = allEmployees.find(e => String(e.id) === employeeIdHidden?.value);
+  const subsidiary = emp?.subsidiary || appConfig.defaultSubsidiary || "";
+  const subsidiaryInput = document.getElementById("subsidiary");
+  if (subsidiaryInput) subsidiaryInput.value = subsidiary;
+  activeCurrency = emp?.currency || appConfig.currency;
+  updateTotals();
+  activeSubsidiary = subsidiary;
+  if (subsidiary !== locationsSubsidiary && await loadLocations()) locationsSubsidiary = subsidiary;
+  if (locationsSubsidiary === subsidiary) pickLocation(emp?.location);
+  loadFrequentItems();
+}
+
+// Location
 async function loadLocations() {
   if (!locationSelect) return;
   try {
-    const res = await fetch("/api/locations");
+    await configReady;
+    const res = await fetch(`/api/locations?subsidiary=${encodeURIComponent(activeSubsidiary)}`);
     if (!res.ok) throw new Error("Failed to load");
     const locations = await res.json();
     
     locationSelect.innerHTML = '<option value="">Select location...</option>';
     locations
-      .filter(loc => !EXCLUDED_LOCATION_IDS.includes(String(loc.id)))
+      .filter(loc => !appConfig.excludedLocationIds.includes(String(loc.id)))
       .forEach(loc => {
         const opt = document.createElement("option");
         opt.value = loc.id;
         opt.textContent = loc.name;
         locationSelect.appendChild(opt);
       });
-
-    // Restore saved selection
-    const savedLocation = storage.get(STORAGE_LOCATION_KEY);
-    if (savedLocation) {
-      locationSelect.value = savedLocation;
-      if (locationIdHidden) locationIdHidden.value = savedLocation;
-    }
+    return true;
   } catch (err) {
     console.error("Location load error:", err);
+    return false;
+  }
+}
+
+// The saved location if this subsidiary has it, else the employee's default
+function pickLocation(employeeLocation) {
+  if (!locationSelect) return;
+  const offered = id => Boolean(id) && Array.from(locationSelect.options).some(o => o.value === String(id));
+  const saved = storage.get(STORAGE_LOCATION_KEY);
+  const id = [locationSelect.value, saved, employeeLocation].find(offered) || "";
+  locationSelect.value = String(id);
+  setLocation(String(id));
+}
+
+// Department and class pickers; hidden when the account has none
+async function loadOptions(select, url) {
+  if (!select) return;
+  try {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error("Failed to load");
+    const options = await res.json();
+    options.forEach(o => {
+      const opt = document.createElement("option");
+      opt.value = o.id;
+      opt.textContent = o.name;
+      select.appendChild(opt);
+    });
+    select.closest(".field")?.classList.toggle("hidden", !options.length);
+  } catch (err) {
+    console.error(`${url} load error:`, err);
   }
 }
 
@@ -96,44 +283,53 @@ function setLocation(id) {
   if (locationIdHidden) locationIdHidden.value = id || "";
 }
 
+const employeeLabel = emp => emp.name || emp.email || emp.id;
+
+function selectEmployee(emp) {
+  // Drafts are per employee; whatever is on screen becomes a new one for them
+  if (String(emp.id) !== employeeIdHidden?.value) {
+    currentDraftId = null;
+    idempotencyKey = null;
+  }
+  setEmployee(emp.id, employeeLabel(emp));
+  renderDraftBar();
+  applyEmployeeSubsidiary();
+  closeDropdown();
+  loadPurchaseLimits();
+  refreshRequests();
+  refreshApprovals();
+}
+
 function buildDropdown(employees) {
-  if (!employeeDropdown) return;
-  employeeDropdown.innerHTML = "";
-  employees.forEach(emp => {
-    const btn = document.createElement("button");
-    btn.type = "button";
-    btn.className = "employee-option";
-    btn.textContent = emp.name || emp.email || emp.id;
-    btn.dataset.id = emp.id;
-    btn.dataset.name = emp.name || emp.email || emp.id;
-    btn.addEventListener("click", () => {
-      setEmployee(emp.id, btn.dataset.name);
-      closeDropdown();
-      refreshRequests();
-    });
-    employeeDropdown.appendChild(btn);
+  employeeCombobox?.setOptions(employees, emp => {
+    const opt = document.createElement("div");
+    opt.className = "employee-option";
+    opt.textContent = employeeLabel(emp);
+    opt.dataset.id = emp.id;
+    return opt;
   });
 }
 
 function filterDropdown(query) {
-  if (!employeeDropdown) return;
   const q = query.toLowerCase();
-  const options = employeeDropdown.querySelectorAll(".employee-option");
-  options.forEach(opt => {
-    const name = (opt.dataset.name || "").toLowerCase();
-    opt.classList.toggle("hidden", q && !name.includes(q));
-  });
+  employeeCombobox?.filter(emp => !q || employeeLabel(emp).toLowerCase().includes(q));
 }
 
 function openDropdown() {
-  if (employeeDropdown) employeeDropdown.classList.add("open");
+  employeeCombobox?.open();
 }
 
 function closeDropdown() {
-  if (employeeDropdown) employeeDropdown.classList.remove("open");
+  employeeCombobox?.close();
 }
 
-if (employeeInput) {
+if (employeeInput && employeeDropdown) {
+  employeeCombobox = createCombobox({
+    input: employeeInput,
+    listbox: employeeDropdown,
+    onSelect: selectEmployee
+  });
+
   employeeInput.addEventListener("focus", () => {
     filterDropdown(employeeInput.value);
     openDropdown();
@@ -145,7 +341,7 @@ if (employeeInput) {
   });
 
   document.addEventListener("click", e => {
-    if (!employeeInput.contains(e.target) && !employeeDropdown?.contains(e.target)) {
+    if (!employeeInput.contains(e.target) && !employeeDropdown.contains(e.target)) {
       closeDropdown();
     }
   });
@@ -157,29 +353,197 @@ function debounce(fn, ms) {
   return (...a) => { clearTimeout(t); t = setTimeout(() => fn(...a), ms); };
 }
 
-// Item search
-async function searchItems(q) {
+// Search cache: least recently used entries go first once full, and
+// entries older than the TTL are treated as missing
+const SEARCH_CACHE_SIZE = 100;
+const SEARCH_CACHE_TTL_MS = 5 * 60 * 1000;
+
+function createLruCache(max, ttl) {
+  const entries = new Map();
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      entries.delete(key);
+      if (Date.now() - entry.at > ttl) return undefined;
+      entries.set(key, entry);
+      return entry.value;
+    },
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, { value, at: Date.now() });
+      if (entries.size > max) entries.delete(entries.keys().next().value);
+    },
+    clear() {
+      entries.clear();
+    }
+  };
+}
+
+const searchCache = createLruCache(SEARCH_CACHE_SIZE, SEARCH_CACHE_TTL_MS);
+
+// IndexedDB: the offline outbox, and the items and vendors this device has
+// used recently so searches still find them without a connection
+const DB_NAME = "genia";
+const DB_VERSION = 1;
+const RECENT_LIMIT = 200;
+let dbPromise = null;
+
+function openDb() {
+  if (!window.indexedDB) return Promise.reject(new Error("IndexedDB is not available"));
+  dbPromise ??= new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => ["outbox", "items", "vendors"].forEach(name => {
+      if (!req.result.objectStoreNames.contains(name)) req.result.createObjectStore(name, { keyPath: "id" });
+    });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  return dbPromise;
+}
+
+// One transaction on one store; resolves to the result of the request `fn` returns
+async function idb(storeName, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+async function rememberRecent(storeName, entry) {
+  if (!entry?.id) return;
   try {
-    const res = await fetch(`/api/items?q=${encodeURIComponent(q)}`);
-    if (!res.ok) return [];
-    return await res.json();
-  } catch { return []; }
+    await idb(storeName, "readwrite", store => store.put({ ...entry, id: String(entry.id), usedAt: Date.now() }));
+    const stale = (await idb(storeName, "readonly", store => store.getAll())).sort((a, b) => b.usedAt - a.usedAt).slice(RECENT_LIMIT);
+    if (stale.length) await idb(storeName, "readwrite", store => stale.forEach(e => store.delete(e.id)));
+  } catch (err) {
+    console.error("Recent save error:", err);
+  }
 }
 
-async function loadItemVendors(itemId) {
+async function recentMatching(storeName, q) {
   try {
-    const res = await fetch(`/api/item-vendors?itemId=${encodeURIComponent(itemId)}`);
-    if (!res.ok) return [];
-    return await res.json();
-  } catch { return []; }
+    const needle = q.toLowerCase();
+    const entries = await idb(storeName, "readonly", store => store.getAll());
+    return entries
+      .filter(e => [e.name, e.sku, e.code, e.email].some(v => v && String(v).toLowerCase().includes(needle)))
+      .sort((a, b) => b.usedAt - a.usedAt)
+      .slice(0, 20);
+  } catch (err) {
+    return [];
+  }
 }
 
-async function searchVendors(q) {
+async function recentItemVendors(itemId) {
   try {
-    const res = await fetch(`/api/vendors?q=${encodeURIComponent(q)}`);
-    if (!res.ok) return [];
-    return await res.json();
-  } catch { return []; }
+    return (await idb("items", "readonly", store => store.get(String(itemId))))?.vendors || [];
+  } catch (err) {
+    return [];
+  }
+}
+
+// GET a JSON list through the cache. Failures resolve to `offline()` when
+// given (recently used entries), else [], and are not cached; aborts are
+// rethrown so the caller can tell them apart.
+async function fetchCachedList(url, signal, offline) {
+  const hit = searchCache.get(url);
+  if (hit) return hit;
+  try {
+    const res = await fetch(url, { signal });
+    if (!res.ok) return offline ? offline() : [];
+    const data = await res.json();
+    searchCache.set(url, data);
+    return data;
+  } catch (err) {
+    if (err.name === "AbortError") throw err;
+    return offline ? offline() : [];
+  }
+}
+
+// Wrap a search so each call aborts the one still in flight. Superseded
+// calls resolve to null, so a slow old response never overwrites a newer one.
+function latestOnly(fn) {
+  let controller = null;
+  return async (...args) => {
+    controller?.abort();
+    const mine = controller = new AbortController();
+    try {
+      const result = await fn(...args, mine.signal);
+      return mine.signal.aborted ? null : result;
+    } catch (err) {
+      if (mine.signal.aborted) return null;
+      throw err;
+    }
+  };
+}
+
+// Item search
+function searchItems(q, signal) {
+  return fetchCachedList(`/api/items?q=${encodeURIComponent(q)}&subsidiary=${encodeURIComponent(activeSubsidiary)}`, signal, () => recentMatching("items", q));
+}
+
+function loadItemVendors(itemId, signal) {
+  return fetchCachedList(`/api/item-vendors?itemId=${encodeURIComponent(itemId)}`, signal, () => recentItemVendors(itemId));
+}
+
+function searchVendors(q, signal) {
+  return fetchCachedList(`/api/vendors?q=${encodeURIComponent(q)}&subsidiary=${encodeURIComponent(activeSubsidiary)}`, signal, () => recentMatching("vendors", q));
+}
+
+// Result rendering: NetSuite names go in as text, never markup
+function highlightMatch(text, query) {
+  const frag = document.createDocumentFragment();
+  const value = String(text ?? "");
+  const q = (query || "").trim().toLowerCase();
+  const at = q ? value.toLowerCase().indexOf(q) : -1;
+  if (at < 0) {
+    frag.appendChild(document.createTextNode(value));
+    return frag;
+  }
+  const mark = document.createElement("mark");
+  mark.textContent = value.slice(at, at + q.length);
+  frag.append(value.slice(0, at), mark, value.slice(at + q.length));
+  return frag;
+}
+
+function resultOption(className, name, detail, query) {
+  const opt = document.createElement("div");
+  opt.className = className;
+  const nameEl = document.createElement("div");
+  nameEl.className = `${className}-name`;
+  nameEl.appendChild(highlightMatch(name, query));
+  const detailEl = document.createElement("div");
+  detailEl.className = className === "modal-result" ? "modal-result-code" : "search-result-desc";
+  detailEl.appendChild(highlightMatch(detail, query));
+  opt.append(nameEl, detailEl);
+  return opt;
+}
+
+// Modals: Escape closes; Tab stays inside the dialog
+function trapModalKeys(modal, close) {
+  modal.addEventListener("keydown", e => {
+    if (e.key === "Escape") {
+      e.preventDefault();
+      close();
+      return;
+    }
+    if (e.key !== "Tab") return;
+    const focusable = Array.from(modal.querySelectorAll("button, input, select, textarea, [tabindex]:not([tabindex='-1'])"))
+      .filter(el => !el.disabled && el.offsetParent !== null);
+    if (!focusable.length) return;
+    const firstEl = focusable[0];
+    const lastEl = focusable[focusable.length - 1];
+    if (e.shiftKey && document.activeElement === firstEl) {
+      e.preventDefault();
+      lastEl.focus();
+    } else if (!e.shiftKey && document.activeElement === lastEl) {
+      e.preventDefault();
+      firstEl.focus();
+    }
+  });
 }
 
 // Vendor Modal
@@ -188,8 +552,14 @@ const vendorModalClose = document.getElementById("vendor-modal-close");
 const vendorSearchInput = document.getElementById("vendor-search-input");
 const vendorSearchResults = document.getElementById("vendor-search-results");
 
+// Focus returns to whatever opened the modal (the row's vendor select)
+let vendorModalOpener = null;
+
 function openVendorModal() {
   if (!vendorModal) return;
+  vendorModalOpener = document.activeElement;
+  showVendorRequestForm(false);
+  vendorRequestOpen?.classList.add("hidden");
   vendorModal.classList.add("open");
   if (vendorSearchInput) {
     vendorSearchInput.value = "";
@@ -204,14 +574,12 @@ function closeVendorModal() {
   if (!vendorModal) return;
   vendorModal.classList.remove("open");
   activeVendorRow = null;
+  vendorModalOpener?.focus?.();
+  vendorModalOpener = null;
 }
 
-function selectVendorFromModal(vendor) {
-  if (!activeVendorRow) return;
-  
-  const vendorSelect = activeVendorRow.querySelector(".vendor-select");
-  
-  // Add this vendor as a new option and select it
+// Add a vendor that isn't on the item's vendor list and select it
+function addVendorOption(vendorSelect, vendor) {
   const opt = document.createElement("option");
   opt.value = vendor.id;
   opt.textContent = vendor.name;
@@ -225,6 +593,91 @@ function selectVendorFromModal(vendor) {
   } else {
     vendorSelect.appendChild(opt);
   }
+}
+
+// Request a vendor that isn't in NetSuite yet. The line keeps a "pending:<id>"
+// option, which _getData sends as pendingVendorId rather than vendorId.
+const vendorRequestOpen = document.getElementById("vendor-request-open");
+const vendorRequestForm = document.getElementById("vendor-request-form");
+
+function showVendorRequestForm(show) {
+  if (!vendorRequestForm) return;
+  vendorRequestForm.classList.toggle("hidden", !show);
+  vendorSearchInput?.classList.toggle("hidden", show);
+  vendorSearchResults?.classList.toggle("hidden", show);
+  vendorRequestOpen?.classList.toggle("hidden", show);
+  if (!show) return;
+  vendorRequestForm.reset();
+  vendorRequestForm.querySelectorAll(".field-error").forEach(el => el.remove());
+  vendorRequestForm.querySelectorAll(".invalid").forEach(el => el.classList.remove("invalid"));
+  vendorRequestForm.elements.name.value = vendorSearchInput?.value.trim() || "";
+  vendorRequestForm.elements.name.focus();
+}
+
+function showVendorRequestErrors(errors) {
+  errors.forEach(({ field, message }) => {
+    const input = vendorRequestForm.elements[field] || vendorRequestForm.elements.name;
+    input.classList.add("invalid");
+    const note = document.createElement("div");
+    note.className = "field-error";
+    note.textContent = message;
+    input.after(note);
+  });
+  vendorRequestForm.querySelector(".invalid")?.focus();
+}
+
+async function submitVendorRequest(e) {
+  e.preventDefault();
+  const submitBtn = vendorRequestForm.querySelector('button[type="submit"]');
+  vendorRequestForm.querySelectorAll(".field-error").forEach(el => el.remove());
+  vendorRequestForm.querySelectorAll(".invalid").forEach(el => el.classList.remove("invalid"));
+
+  const body = new URLSearchParams(new FormData(vendorRequestForm));
+  body.set("requestorId", employeeIdHidden?.value || "");
+  body.set("subsidiary", activeSubsidiary);
+  if (!body.get("requestorId")) {
+    showToast("Please select your name first.", "error");
+    return;
+  }
+  submitBtn.disabled = true;
+  try {
+    const res = await fetch("/api/vendors/request", { method: "POST", body });
+    if (res.status === 422) {
+      showVendorRequestErrors((await res.json()).errors || []);
+      return;
+    }
+    if (!res.ok) throw new Error(await responseError(res, "Couldn't request that vendor."));
+    const vendor = await res.json();
+    const row = activeVendorRow;
+    if (row) {
+      addVendorOption(row.querySelector(".vendor-select"), { id: `pending:${vendor.id}`, name: `${vendor.name} (pending setup)` });
+      scheduleDraftSave();
+      row.dataset.isNewVendor = "false";
+    }
+    showToast(`${vendor.name} sent to procurement for setup.`, "success");
+    closeVendorModal();
+  } catch (err) {
+    showToast(err.message || "Couldn't request that vendor.", "error");
+  } finally {
+    submitBtn.disabled = false;
+  }
+}
+
+if (vendorRequestForm) {
+  vendorRequestOpen?.addEventListener("click", () => showVendorRequestForm(true));
+  document.getElementById("vendor-request-back")?.addEventListener("click", () => {
+    showVendorRequestForm(false);
+    vendorSearchInput?.focus();
+  });
+  vendorRequestForm.addEventListener("submit", submitVendorRequest);
+}
+
+function selectVendorFromModal(vendor) {
+  if (!activeVendorRow) return;
+  
+  addVendorOption(activeVendorRow.querySelector(".vendor-select"), vendor);
+  rememberRecent("vendors", vendor);
+  scheduleDraftSave();
   
   // Mark as new vendor
   activeVendorRow.dataset.isNewVendor = "true";
@@ -240,55 +693,158 @@ if (vendorModal) {
   vendorModal.addEventListener("click", (e) => {
     if (e.target === vendorModal) closeVendorModal();
   });
+
+  trapModalKeys(vendorModal, closeVendorModal);
 }
 
-if (vendorSearchInput) {
+if (vendorSearchInput && vendorSearchResults) {
+  const vendorCombobox = createCombobox({
+    input: vendorSearchInput,
+    listbox: vendorSearchResults,
+    inline: true,
+    onSelect: selectVendorFromModal,
+    onEscape: closeVendorModal
+  });
+
+  const searchVendorsLatest = latestOnly(searchVendors);
+
+  // Drop any stale options before showing a status line in their place
+  const showVendorMessage = text => {
+    vendorCombobox.setOptions([], null);
+    const empty = document.createElement("div");
+    empty.className = "modal-empty";
+    empty.textContent = text;
+    vendorSearchResults.replaceChildren(empty);
+    announce(text);
+  };
+
   const doVendorSearch = debounce(async () => {
     const q = vendorSearchInput.value.trim();
+    vendorRequestOpen?.classList.add("hidden");
     if (q.length < 2) {
-      vendorSearchResults.innerHTML = '<div class="modal-empty">Type to search vendors</div>';
+      showVendorMessage("Type to search vendors");
       return;
     }
     
-    vendorSearchResults.innerHTML = '<div class="modal-empty">Searching...</div>';
-    const vendors = await searchVendors(q);
+    showVendorMessage("Searching...");
+    const vendors = await searchVendorsLatest(q);
+    if (!vendors || vendorSearchInput.value.trim() !== q) return;
+    vendorRequestOpen?.classList.remove("hidden");
     
     if (!vendors.length) {
-      vendorSearchResults.innerHTML = '<div class="modal-empty">No vendors found</div>';
+      showVendorMessage("No vendors found");
       return;
     }
     
-    vendorSearchResults.innerHTML = "";
-    vendors.forEach(v => {
-      const btn = document.createElement("button");
-      btn.type = "button";
-      btn.className = "modal-result";
-      btn.innerHTML = `<div class="modal-result-name">${v.name}</div>
-        <div class="modal-result-code">${v.code || ""}</div>`;
-      btn.onclick = () => selectVendorFromModal(v);
-      vendorSearchResults.appendChild(btn);
-    });
+    vendorCombobox.setOptions(vendors, v => resultOption("modal-result", v.name, [v.code !== v.name && v.code, v.email].filter(Boolean).join(" · "), q));
   }, 200);
   
   vendorSearchInput.addEventListener("input", doVendorSearch);
 }
 
-function renderResults(container, items, onSelect) {
-  container.innerHTML = "";
-  if (!items.length) {
-    container.classList.remove("visible");
-    return;
-  }
-  container.classList.add("visible");
-  items.forEach(item => {
-    const btn = document.createElement("button");
-    btn.type = "button";
-    btn.className = "search-result";
-    btn.innerHTML = `<div class="search-result-name">${item.name}</div>
-      <div class="search-result-desc">${item.description || item.sku || ""}</div>`;
-    btn.onclick = () => onSelect(item);
-    container.appendChild(btn);
+function renderResults(combobox, items, query) {
+  combobox.setOptions(items, item => resultOption("search-result", item.name, item.description || item.sku || "", query));
+  if (items.length) combobox.open();
+  else combobox.close();
+}
+
+// Attachments
+const ATTACHMENT_TYPES = ["application/pdf", "image/jpeg", "image/png"];
+const MAX_ATTACHMENT_BYTES = 3 * 1024 * 1024;
+const MAX_TOTAL_ATTACHMENT_BYTES = 6 * 1024 * 1024;
+
+function readAsBase64(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).split(",")[1] || "");
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+// Files are encoded as soon as they're picked so the submit handler can stay synchronous
+function setupAttachmentPicker(input) {
+  const previews = input.parentElement.querySelector(".attachment-previews");
+  input._attachments = [];
+
+  const render = () => {
+    if (!previews) return;
+    previews.innerHTML = "";
+    input._attachments.forEach((att, i) => {
+      const chip = document.createElement("div");
+      chip.className = "attachment-preview";
+      if (att.url) {
+        const img = document.createElement("img");
+        img.src = att.url;
+        img.alt = "";
+        chip.appendChild(img);
+      } else {
+        const icon = document.createElement("span");
+        icon.className = "attachment-icon";
+        icon.textContent = "PDF";
+        chip.appendChild(icon);
+      }
+      const name = document.createElement("span");
+      name.className = "attachment-name";
+      name.textContent = att.name;
+      chip.appendChild(name);
+      const remove = document.createElement("button");
+      remove.type = "button";
+      remove.className = "attachment-remove";
+      remove.textContent = "×";
+      remove.setAttribute("aria-label", `Remove ${att.name}`);
+      remove.onclick = () => {
+        if (att.url) URL.revokeObjectURL(att.url);
+        input._attachments.splice(i, 1);
+        render();
+      };
+      chip.appendChild(remove);
+      previews.appendChild(chip);
+    });
+  };
+
+  input.addEventListener("change", async () => {
+    const files = Array.from(input.files || []);
+    input.value = "";
+    for (const file of files) {
+      if (!ATTACHMENT_TYPES.includes(file.type)) {
+        showToast(`${file.name} must be a PDF, JPG or PNG.`, "error");
+        continue;
+      }
+      if (file.size > MAX_ATTACHMENT_BYTES) {
+        showToast(`${file.name} is larger than 3MB.`, "error");
+        continue;
+      }
+      try {
+        input._attachments.push({
+          name: file.name,
+          type: file.type,
+          size: file.size,
+          content: await readAsBase64(file),
+          url: file.type.startsWith("image/") ? URL.createObjectURL(file) : ""
+        });
+      } catch {
+        showToast(`Couldn't read ${file.name}.`, "error");
+      }
+    }
+    render();
   });
+
+  input._clear = () => {
+    input._attachments.forEach(att => att.url && URL.revokeObjectURL(att.url));
+    input._attachments = [];
+    render();
+  };
+}
+
+// Form-level files first, then each row's files tagged with its 1-based line
+function collectAttachments(rows) {
+  const pick = ({ name, type, size, content }) => ({ name, type, size, content });
+  const formFiles = document.getElementById("form-attachments")?._attachments || [];
+  return [
+    ...formFiles.map(pick),
+    ...rows.flatMap((row, idx) => (row.querySelector(".attachment-input")?._attachments || []).map(att => ({ ...pick(att), line: idx + 1 })))
+  ];
 }
 
 // Vendor modal state
@@ -303,19 +859,26 @@ function setupItemRow(row) {
   const qtyInput = row.querySelector(".quantity");
   const notesInput = row.querySelector(".line-notes");
   const removeBtn = row.querySelector(".remove-item");
+  const attachmentInput = row.querySelector(".attachment-input");
 
   if (!qtyInput.value) qtyInput.value = "1";
+  if (attachmentInput) setupAttachmentPicker(attachmentInput);
 
   // Track if vendor is new (from "More Vendors")
   row.dataset.isNewVendor = "false";
 
-  const populateVendorDropdown = (vendors) => {
+  // Per-row, so typing in one row never cancels another row's search
+  const searchItemsLatest = latestOnly(searchItems);
+  const loadItemVendorsLatest = latestOnly(loadItemVendors);
+
+  // Options as { value, label, price }, between the placeholder and "More Vendors"
+  const setVendorOptions = (options) => {
     vendorSelect.innerHTML = '<option value="">Select vendor</option>';
-    vendors.forEach(v => {
+    options.forEach(({ value, label, price }) => {
       const opt = document.createElement("option");
-      opt.value = v.id;
-      opt.textContent = v.name;
-      opt.dataset.price = v.purchasePrice || "";
+      opt.value = value;
+      opt.textContent = label;
+      opt.dataset.price = price || "";
       vendorSelect.appendChild(opt);
     });
     // Add "More Vendors" option
@@ -325,30 +888,51 @@ function setupItemRow(row) {
     vendorSelect.appendChild(moreOpt);
   };
 
-  const doSearch = debounce(async () => {
-    const q = searchInput.value.trim();
-    if (q.length < 2) {
-      results.classList.remove("visible");
-      return;
-    }
-    const items = await searchItems(q);
-    renderResults(results, items, async (item) => {
+  // Cheapest last-paid first; vendors we've never ordered from go last, by list price
+  const populateVendorDropdown = (vendors) => {
+    setVendorOptions([...vendors].sort(compareVendorPrices).map(v => ({ value: v.id, label: vendorOptionLabel(v), price: (v.lastPrice ?? v.purchasePrice) || "" })));
+  };
+
+  const itemCombobox = createCombobox({
+    input: searchInput,
+    listbox: results,
+    openClass: "visible",
+    onSelect: async (item) => {
       searchInput.value = item.name;
       itemIdInput.value = item.id;
-      results.classList.remove("visible");
+      itemCombobox.close();
+      setRowFlag(row, "");
       row.dataset.isNewVendor = "false";
 
       // Pre-fetch vendors immediately
-      const vendors = await loadItemVendors(item.id);
+      const vendors = await loadItemVendorsLatest(item.id);
+      if (!vendors) return;
       populateVendorDropdown(vendors);
-    });
+      rememberRecent("items", { id: item.id, name: item.name, sku: item.sku, description: item.description, vendors });
+      scheduleDraftSave();
+    }
+  });
+
+  const doSearch = debounce(async () => {
+    const q = searchInput.value.trim();
+    if (q.length < 2) {
+      itemCombobox.close();
+      return;
+    }
+    const items = await searchItemsLatest(q);
+    // Null means superseded; a changed input means the user moved on
+    if (items && searchInput.value.trim() === q) renderResults(itemCombobox, items, q);
   }, 200);
 
   searchInput.addEventListener("input", doSearch);
   searchInput.addEventListener("focus", doSearch);
 
   document.addEventListener("click", e => {
-    if (!row.contains(e.target)) results.classList.remove("visible");
+    if (!row.contains(e.target)) itemCombobox.close();
+  });
+
+  priceInput.addEventListener("input", () => {
+    priceInput.dataset.prefilled = "false";
   });
 
   vendorSelect.addEventListener("change", () => {
@@ -360,24 +944,143 @@ function setupItemRow(row) {
       openVendorModal();
       return;
     }
+    // Last-paid price, unless the requestor has typed their own
     const opt = vendorSelect.options[vendorSelect.selectedIndex];
-    if (opt?.dataset.price && !priceInput.value) {
+    if (opt?.dataset.price && (!priceInput.value || priceInput.dataset.prefilled === "true")) {
       priceInput.value = opt.dataset.price;
+      priceInput.dataset.prefilled = "true";
     }
     // Reset isNewVendor when selecting from existing list
     row.dataset.isNewVendor = "false";
+    setRowFlag(row, "");
+  });
+
+  removeBtn.addEventListener("click", () => {
+    row.remove();
+    updateTotals();
+    scheduleDraftSave();
   });
 
-  removeBtn.addEventListener("click", () => row.remove());
 
-  row._getData = () => ({
+  // Pre-fill from a saved requisition line
+  // refreshPrice swaps the saved rate for the vendor's current price; inactive flags come from "Request again".
+  // dropUnlistedVendor leaves the vendor unpicked, and resolves true, when it's no longer on the item's vendor list.
+  row._fill = async ({ itemId, itemName, vendorId, vendorName, pendingVendorId, quantity, rate, description, fields, refreshPrice, itemInactive, vendorInactive, dropUnlistedVendor }) => {
+    const flags = [itemInactive && "This item is no longer active.", vendorInactive && "This vendor is no longer active."].filter(Boolean);
+    setRowFlag(row, flags.join(" "));
+    searchInput.value = itemName || "";
+    itemIdInput.value = itemId || "";
+    qtyInput.value = quantity || 1;
+    priceInput.value = rate || "";
+    updateTotals();
+    notesInput.value = description || "";
+    row.querySelectorAll("[data-line-field]").forEach(input => {
+      input.value = fields?.[input.dataset.lineField] || "";
+    });
+    if (!itemId) return;
+
+    const vendors = await loadItemVendorsLatest(itemId);
+    if (!vendors) return;
+    populateVendorDropdown(vendors);
+    if (pendingVendorId) {
+      addVendorOption(vendorSelect, { id: `pending:${pendingVendorId}`, name: `${vendorName || pendingVendorId} (pending setup)` });
+      return;
+    }
+    if (!vendorId) return;
+    // Keep the line's vendor as it was; only choosing one from "More Vendors" adds it to the item
+    if (!Array.from(vendorSelect.options).some(o => o.value === String(vendorId))) {
+      if (dropUnlistedVendor) {
+        setRowFlag(row, [...flags, `${vendorName || "The vendor"} no longer supplies this item. Pick a vendor.`].join(" "));
+        return true;
+      }
+      addVendorOption(vendorSelect, { id: vendorId, name: `${vendorName || vendorId} (not listed for this item)` });
+    }
+    vendorSelect.value = String(vendorId);
+    const currentPrice = vendorSelect.selectedOptions[0]?.dataset.price;
+    if (refreshPrice && currentPrice) {
+      priceInput.value = currentPrice;
+      updateTotals();
+    }
+  };
+
+  // Drafts keep the vendor options as loaded, so a resumed row needs no NetSuite call
+  row._getDraft = () => ({
     itemId: itemIdInput.value,
-    vendorId: vendorSelect.value === "__more__" ? "" : vendorSelect.value,
+    itemName: searchInput.value,
+    vendorOptions: Array.from(vendorSelect.options)
+      .filter(o => o.value && o.value !== "__more__")
+      .map(o => ({ value: o.value, label: o.textContent, price: o.dataset.price || "" })),
+    vendor: vendorSelect.value === "__more__" ? "" : vendorSelect.value,
     isNewVendor: row.dataset.isNewVendor === "true",
-    quantity: Number(qtyInput.value) || 1,
-    estimatedPrice: Number(priceInput.value) || 0,
-    description: notesInput.value.trim()
+    quantity: qtyInput.value,
+    price: priceInput.value,
+    pricePrefilled: priceInput.dataset.prefilled === "true",
+    note: notesInput.value,
+    fields: collectFields(row, "line")
   });
+
+  row._restoreDraft = (draft) => {
+    searchInput.value = draft.itemName || "";
+    itemIdInput.value = draft.itemId || "";
+    setVendorOptions(draft.vendorOptions || []);
+    vendorSelect.value = draft.vendor || "";
+    row.dataset.isNewVendor = draft.isNewVendor ? "true" : "false";
+    qtyInput.value = draft.quantity || 1;
+    priceInput.value = draft.price || "";
+    priceInput.dataset.prefilled = draft.pricePrefilled ? "true" : "false";
+    notesInput.value = draft.note || "";
+    row.querySelectorAll("[data-line-field]").forEach(input => {
+      input.value = draft.fields?.[input.dataset.lineField] || "";
+    });
+  };
+
+  row._getData = () => {
+    const vendor = vendorSelect.value === "__more__" ? "" : vendorSelect.value;
+    const pendingVendorId = vendor.startsWith("pending:") ? vendor.slice("pending:".length) : "";
+    return {
+      itemId: itemIdInput.value,
+      vendorId: pendingVendorId ? "" : vendor,
+      pendingVendorId,
+      isNewVendor: row.dataset.isNewVendor === "true",
+      quantity: Number(qtyInput.value) || 1,
+      estimatedPrice: Number(priceInput.value) || 0,
+      description: notesInput.value.trim(),
+      fields: collectFields(row, "line")
+    };
+  };
+}
+
+// Vendor price history from itemVendors
+const shortDate = iso => iso ? new Date(`${iso}T00:00:00`).toLocaleDateString(undefined, { day: "numeric", month: "short", year: "numeric" }) : "";
+
+function vendorOptionLabel(v) {
+  if (v.lastPrice == null) return v.purchasePrice ? `${v.name} · list ${formatAmount(v.purchasePrice)}` : v.name;
+  const parts = [`${v.name} · last ${formatAmount(v.lastPrice)}`];
+  if (v.lastDate) parts.push(shortDate(v.lastDate));
+  if (v.averagePrice != null) parts.push(`12-mo avg ${formatAmount(v.averagePrice)}`);
+  return parts.join(" · ");
+}
+
+function compareVendorPrices(a, b) {
+  const aPaid = a.lastPrice != null;
+  const bPaid = b.lastPrice != null;
+  if (aPaid !== bPaid) return aPaid ? -1 : 1;
+  return aPaid ? a.lastPrice - b.lastPrice : ((a.purchasePrice || Infinity) - (b.purchasePrice || Infinity)) || 0;
+}
+
+// A warning on the row itself, e.g. an item that has gone inactive; "" clears it
+function setRowFlag(row, text) {
+  let flag = row.querySelector(".row-flag");
+  if (!text) {
+    flag?.remove();
+    return;
+  }
+  if (!flag) {
+    flag = document.createElement("div");
+    flag.className = "row-flag";
+    row.querySelector(".item-header")?.after(flag);
+  }
+  flag.textContent = `${text} Choose a replacement or remove this line.`;
 }
 
 function addItemRow() {
@@ -388,42 +1091,1435 @@ function addItemRow() {
   const row = clone.querySelector(".item-row");
   setupItemRow(row);
   itemsContainer.appendChild(row);
+  return row;
 }
 
-function collectItems() {
-  if (!itemsContainer) return [];
-  return Array.from(itemsContainer.querySelectorAll(".item-row"))
-    .map(r => r._getData?.())
-    .filter(i => i?.itemId);
-}
+// Quick add: the requestor's most-requested items (or their location's) as
+// chips that add a filled-in row in one tap
+const quickAdd = document.getElementById("quick-add");
+const quickAddChips = document.getElementById("quick-add-chips");
+const quickAddScope = document.getElementById("quick-add-scope");
+const QUICK_ADD_SCOPE_KEY = "genia.quickAddScope";
+let quickAddItems = [];
 
-// Requests
-function refreshRequests() {
-  const list = document.getElementById("requests-list");
-  const id = employeeIdHidden?.value;
-  if (!list || !id) return;
-  
-  // Show loading state
-  list.innerHTML = '<div class="requests-loading"><div class="spinner"></div><span>Loading requests...</span></div>';
-  if (refreshBtn) refreshBtn.classList.add("loading");
-  
-  htmx.ajax("GET", `/api/requests?employeeId=${encodeURIComponent(id)}`, {
-    target: "#requests-list",
-    swap: "innerHTML"
-  }).then(() => {
-    if (refreshBtn) refreshBtn.classList.remove("loading");
-  }).catch(() => {
-    if (refreshBtn) refreshBtn.classList.remove("loading");
-  });
-}
+const loadFrequentItemsLatest = latestOnly((url, signal) => fetchCachedList(url, signal));
 
-// Form
-if (addItemButton) {
-  addItemButton.addEventListener("click", addItemRow);
+async function loadFrequentItems() {
+  if (!quickAdd || !quickAddChips) return;
+  const empId = employeeIdHidden?.value;
+  const by = quickAddScope?.value || "employee";
+  const locId = locationIdHidden?.value;
+  quickAdd.classList.toggle("hidden", !empId);
+  if (!empId) return;
+  if (by === "location" && !locId) {
+    renderQuickAdd([], "Pick a location to see what's ordered there.");
+    return;
+  }
+  const params = new URLSearchParams({ employeeId: empId, by, location: by === "location" ? locId : "" });
+  const items = await loadFrequentItemsLatest(`/api/items/frequent?${params}`);
+  if (items) renderQuickAdd(items, by === "location" ? "Nothing requested at this location yet." : "Items you request often will show up here.");
 }
 
-if (requisitionForm) {
+function renderQuickAdd(items, emptyText) {
+  quickAddItems = items;
+  if (!items.length) {
+    quickAddChips.replaceChildren(createEl("p", "field-hint", emptyText));
+    return;
+  }
+  quickAddChips.replaceChildren(...items.map((item, i) => {
+    const chip = createEl("button", "quick-add-chip");
+    chip.type = "button";
+    chip.dataset.index = i;
+    const meta = [`× ${item.quantity}`, item.lastPrice != null && formatAmount(item.lastPrice), item.vendorName].filter(Boolean).join(" · ");
+    chip.title = `Add ${item.itemName}${meta ? ` (${meta})` : ""}`;
+    chip.append(createEl("span", "quick-add-chip-name", item.itemName), createEl("span", "quick-add-chip-meta", meta));
+    return chip;
+  }));
+}
+
+if (quickAdd && quickAddChips) {
+  if (quickAddScope) {
+    quickAddScope.value = storage.get(QUICK_ADD_SCOPE_KEY) === "location" ? "location" : "employee";
+    quickAddScope.addEventListener("change", () => {
+      storage.set(QUICK_ADD_SCOPE_KEY, quickAddScope.value);
+      loadFrequentItems();
+    });
+  }
+
+  quickAddChips.addEventListener("click", async e => {
+    const chip = e.target.closest(".quick-add-chip");
+    const item = chip && quickAddItems[chip.dataset.index];
+    if (!item) return;
+    // Fill the blank row the form starts with rather than leaving it above the new one
+    const blank = Array.from(itemsContainer.querySelectorAll(".item-row"))
+      .find(row => !row._getData().itemId && !row.querySelector(".item-search").value.trim());
+    const row = blank || addItemRow();
+    await row._fill({ itemId: item.itemId, itemName: item.itemName, vendorId: item.vendorId, vendorName: item.vendorName, quantity: item.quantity, rate: item.lastPrice ?? "" });
+    updateTotals();
+    scheduleDraftSave();
+    announce(`${item.itemName} added.`);
+  });
+}
+
+// Totals and spend warnings
+let purchaseLimits = null;
+
+function formatAmount(n) {
+  try {
+    return new Intl.NumberFormat(undefined, { style: "currency", currency: activeCurrency || appConfig.currency || "USD" }).format(n);
+  } catch {
+    return `$${n.toFixed(2)}`;
+  }
+}
+
+function lineAmount(row) {
+  const qty = Number(row.querySelector(".quantity")?.value) || 0;
+  const price = Number(row.querySelector(".estimated-price")?.value) || 0;
+  return qty * price;
+}
+
+// Deployment thresholds first, then the requestor's own purchase limit
+function spendWarnings(total) {
+  const warnings = appConfig.spendThresholds
+    .filter(t => total > t.amount)
+    .map(t => `${t.message} (above ${formatAmount(t.amount)})`);
+  const limit = purchaseLimits?.purchaseLimit;
+  if (limit != null && total > limit) {
+    warnings.push(`This is over your purchase limit of ${formatAmount(limit)}.`);
+  }
+  // Above their own approval limit, someone else has to sign the request off
+  const approvalLimit = purchaseLimits?.approvalLimit;
+  if (approvalLimit != null && total > approvalLimit) {
+    warnings.push(`This is over your approval limit of ${formatAmount(approvalLimit)}, so it needs sign-off from an approver.`);
+  }
+  return warnings;
+}
+
+function updateTotals() {
+  if (!itemsContainer) return;
+  let total = 0;
+  itemsContainer.querySelectorAll(".item-row").forEach(row => {
+    const amount = lineAmount(row);
+    total += amount;
+    const lineTotal = row.querySelector(".line-total");
+    if (lineTotal) lineTotal.textContent = amount ? formatAmount(amount) : "";
+  });
+
+  const totalEl = document.getElementById("form-total");
+  if (totalEl) totalEl.textContent = formatAmount(total);
+
+  const warningsEl = document.getElementById("spend-warnings");
+  if (warningsEl) {
+    warningsEl.replaceChildren(...spendWarnings(total).map(text => {
+      const div = document.createElement("div");
+      div.className = "spend-warning";
+      div.textContent = text;
+      return div;
+    }));
+  }
+  return total;
+}
+
+async function loadPurchaseLimits() {
+  purchaseLimits = null;
+  const empId = employeeIdHidden?.value;
+  if (empId && itemsContainer) {
+    try {
+      const res = await fetch(`/api/purchase-limits?employeeId=${encodeURIComponent(empId)}`);
+      if (res.ok) purchaseLimits = await res.json();
+    } catch (err) {
+      console.error("Purchase limit load error:", err);
+    }
+  }
+  updateTotals();
+}
+
+// Rows that will be sent, in payload order; error line numbers index into this
+function filledRows() {
+  if (!itemsContainer) return [];
+  return Array.from(itemsContainer.querySelectorAll(".item-row"))
+    .filter(r => r._getData?.().itemId);
+}
+
+function collectItems() {
+  return filledRows().map(r => r._getData());
+}
+
+// Inputs tagged data-header-field / data-line-field map straight onto NetSuite field ids
+// (header fields are always sent so an edit can clear them)
+function collectFields(scope, level) {
+  const fields = {};
+  scope.querySelectorAll(`[data-${level}-field]`).forEach(input => {
+    const value = input.value.trim();
+    if (value || level === "header") fields[input.dataset[`${level}Field`]] = value;
+  });
+  return fields;
+}
+
+// Field errors
+const ERROR_FIELD_SELECTORS = {
+  itemId: ".item-search",
+  vendorId: ".vendor-select",
+  quantity: ".quantity",
+  estimatedPrice: ".estimated-price",
+  description: ".line-notes",
+  attachments: ".attachment-input"
+};
+
+let submittedRows = [];
+
+function clearFieldError(input) {
+  input.classList.remove("invalid");
+  input.closest(".field")?.querySelector(".field-error")?.remove();
+}
+
+function clearFieldErrors() {
+  document.querySelectorAll(".field-error").forEach(el => el.remove());
+  document.querySelectorAll(".invalid").forEach(el => el.classList.remove("invalid"));
+}
+
+function showFieldErrors(errors) {
+  clearFieldErrors();
+  const unplaced = [];
+  errors.forEach(err => {
+    const row = err.line ? submittedRows[err.line - 1] : null;
+    const input = row
+      ? row.querySelector(ERROR_FIELD_SELECTORS[err.field] || `[data-line-field="${err.field}"]`)
+      : requisitionForm?.querySelector(err.field === "memo" ? '[name="notes"]' : `[data-header-field="${err.field}"]`);
+    const field = input?.closest(".field");
+    if (!field) {
+      unplaced.push(err.message);
+      return;
+    }
+    input.classList.add("invalid");
+    const msg = document.createElement("div");
+    msg.className = "field-error";
+    msg.textContent = err.message;
+    field.appendChild(msg);
+  });
+  showToast(unplaced.length ? unplaced.join(" ") : "Please fix the highlighted fields.", "error");
+}
+
+// Pull the message(s) out of a failed API response
+async function responseError(res, fallback) {
+  try {
+    const body = await res.json();
+    if (body?.errors?.length) return body.errors.map(e => e.message).join(" ");
+  } catch {}
+  return fallback;
+}
+
+// Edit an existing requisition
+const formTitle = document.getElementById("form-title");
+const formSubtitle = document.getElementById("form-subtitle");
+
+async function startEdit(id) {
+  const empId = employeeIdHidden?.value;
+  if (!empId) {
+    showToast("Please select your name first.", "error");
+    return false;
+  }
+  try {
+    const res = await fetch(`/api/requisition?id=${encodeURIComponent(id)}&employeeId=${encodeURIComponent(empId)}`);
+    if (!res.ok) throw new Error(await responseError(res, "Couldn't load that request."));
+    const req = await res.json();
+    if (!req.editable) throw new Error(`${req.tranId} can no longer be edited.`);
+
+    if (requisitionIdInput) requisitionIdInput.value = req.id;
+    if (formTitle) formTitle.textContent = `Edit ${req.tranId}`;
+    if (formSubtitle) formSubtitle.textContent = "Saving sends it back for approval.";
+    const submitBtn = requisitionForm?.querySelector('button[type="submit"]');
+    if (submitBtn) submitBtn.textContent = "Save Changes";
+    if (req.location && locationSelect) {
+      locationSelect.value = req.location;
+      setLocation(req.location);
+    }
+    requisitionForm.querySelectorAll("[data-header-field]").forEach(input => {
+      input.value = req.fields?.[input.dataset.headerField] || "";
+    });
+    const memoInput = requisitionForm.querySelector('[name="notes"]');
+    if (memoInput) memoInput.value = req.fields?.memo || "";
+
+    idempotencyKey = null;
+    itemsContainer.innerHTML = "";
+    await Promise.all(req.items.map(line => addItemRow()._fill(line)));
+    return true;
+  } catch (err) {
+    showToast(err.message || "Couldn't load that request.", "error");
+    return false;
+  }
+}
+
+// "Request again": a new request pre-filled from a past one's lines at today's prices
+async function startRequestAgain(id) {
+  const empId = employeeIdHidden?.value;
+  if (!empId) {
+    showToast("Please select your name first.", "error");
+    return false;
+  }
+  try {
+    const res = await fetch(`/api/requisition/lines?id=${encodeURIComponent(id)}&employeeId=${encodeURIComponent(empId)}`);
+    if (!res.ok) throw new Error(await responseError(res, "Couldn't load that request."));
+    const req = await res.json();
+
+    if (formSubtitle) formSubtitle.textContent = `Copied from ${req.tranId}. Prices are refreshed from current vendor prices.`;
+    if (req.location && locationSelect) {
+      locationSelect.value = req.location;
+      setLocation(req.location);
+    }
+
+    idempotencyKey = null;
+    itemsContainer.innerHTML = "";
+    const dropped = await Promise.all(req.items.map(line => addItemRow()._fill({ ...line, refreshPrice: true, dropUnlistedVendor: true })));
+    const flagged = req.items.filter((line, i) => line.itemInactive || line.vendorInactive || dropped[i]).length;
+    if (flagged) showToast(`${flagged} line${flagged === 1 ? "" : "s"} need${flagged === 1 ? "s" : ""} a new item or vendor.`, "error");
+    scheduleDraftSave();
+    return true;
+  } catch (err) {
+    showToast(err.message || "Couldn't load that request.", "error");
+    return false;
+  }
+}
+
+// Back to a blank new request, after an edit or a "Request again"
+function endEdit() {
+  if (!requisitionIdInput?.value && !window.location.search) return;
+  if (requisitionIdInput) requisitionIdInput.value = "";
+  if (formTitle) formTitle.textContent = "New Request";
+  if (formSubtitle) formSubtitle.textContent = "What do you need? We'll handle the rest.";
+  const submitBtn = requisitionForm?.querySelector('button[type="submit"]');
+  if (submitBtn) submitBtn.textContent = "Submit Request";
+  history.replaceState(null, "", "/");
+}
+
+async function cancelRequisition(btn) {
+  const empId = employeeIdHidden?.value;
+  const tranId = btn.dataset.tranId;
+  if (!empId || !confirm(`Cancel ${tranId}? This can't be undone.`)) return;
+  btn.classList.add("loading");
+  try {
+    const res = await fetch("/api/requisitions/cancel", {
+      method: "POST",
+      body: new URLSearchParams({ id: btn.dataset.id, requestorId: empId })
+    });
+    if (res.ok) {
+      showToast(`${tranId} cancelled.`, "success");
+      refreshRequests();
+      return;
+    }
+    showToast(await responseError(res, "Couldn't cancel request."), "error");
+  } catch {
+    showToast("Couldn't cancel request.", "error");
+  }
+  btn.classList.remove("loading");
+}
+
+document.addEventListener("click", e => {
+  const btn = e.target.closest(".request-cancel");
+  if (btn) cancelRequisition(btn);
+});
+
+// Requests
+function refreshRequests() {
+  const list = document.getElementById("requests-list");
+  const id = employeeIdHidden?.value;
+  if (!list || !id) return;
+  
+  // Show loading state
+  list.innerHTML = '<div class="requests-loading"><div class="spinner"></div><span>Loading requests...</span></div>';
+  if (refreshBtn) refreshBtn.classList.add("loading");
+  
+  htmx.ajax("GET", `/api/requests?employeeId=${encodeURIComponent(id)}`, {
+    target: "#requests-list",
+    swap: "innerHTML"
+  }).then(() => {
+    if (refreshBtn) refreshBtn.classList.remove("loading");
+  }).catch(() => {
+    if (refreshBtn) refreshBtn.classList.remove("loading");
+  });
+}
+
+// A list request NetSuite refused says why, in place of the spinner or as a toast for "Load more"
+function showListError(e, fallback) {
+  let message = fallback;
+  try {
+    const body = JSON.parse(e.detail.xhr.responseText);
+    if (body?.errors?.length) message = body.errors.map(err => err.message).join(" ");
+  } catch {}
+  const target = e.detail.target;
+  if (target?.matches?.(".requests-more")) showToast(message, "error");
+  else target?.replaceChildren(createEl("div", "status status-error", message));
+}
+
+document.addEventListener("htmx:responseError", e => {
+  if (e.detail.target?.closest?.("#requests-list")) showListError(e, "Couldn't load your requests.");
+  else if (e.detail.target?.closest?.("#approvals-list")) showListError(e, "Couldn't load your approvals.");
+});
+
+// "Load more" pages can start part-way through a requisition, so fold
+// those lines back into the group already on screen
+function mergeRequestGroups() {
+  const list = document.getElementById("requests-list");
+  if (!list) return;
+  const seen = {};
+  list.querySelectorAll(".request-group").forEach(group => {
+    const existing = seen[group.dataset.req];
+    if (!existing) {
+      seen[group.dataset.req] = group;
+      return;
+    }
+    group.querySelectorAll(".request-row").forEach(row => existing.appendChild(row));
+    group.remove();
+  });
+}
+
+// My Requests controls: search, filters, sort and export work on the lines
+// already loaded, so "Load more" pages are included as they arrive
+const requestsSearch = document.getElementById("requests-search");
+const requestsPoFilter = document.getElementById("requests-po-filter");
+const requestsVendorFilter = document.getElementById("requests-vendor-filter");
+const requestsSort = document.getElementById("requests-sort");
+const requestsExport = document.getElementById("requests-export");
+
+let requestSort = { key: "", dir: "asc" };
+let requestOrder = 0;
+
+const requestLineText = (row, group) =>
+  [row.dataset.item, row.dataset.vendor, row.dataset.po, group.dataset.tranId].join(" ").toLowerCase();
+
+function requestLineMatches(row, group) {
+  const q = (requestsSearch?.value || "").trim().toLowerCase();
+  const po = requestsPoFilter?.value;
+  const vendor = requestsVendorFilter?.value;
+  if (q && !requestLineText(row, group).includes(q)) return false;
+  if (po === "has-po" && !row.dataset.po) return false;
+  if (po === "awaiting-po" && row.dataset.po) return false;
+  if (vendor && row.dataset.vendor !== vendor) return false;
+  return true;
+}
+
+function compareRequestLines(a, b) {
+  const { key, dir } = requestSort;
+  const sign = dir === "desc" ? -1 : 1;
+  if (!key) return Number(a.dataset.order) - Number(b.dataset.order);
+  if (key === "amount") return sign * (Number(a.dataset.amount) - Number(b.dataset.amount));
+  // Blank suppliers and POs sort last either way
+  const av = a.dataset[key] || "";
+  const bv = b.dataset[key] || "";
+  if (!av || !bv) return (av ? 0 : 1) - (bv ? 0 : 1);
+  return sign * av.localeCompare(bv, undefined, { numeric: true, sensitivity: "base" });
+}
+
+function refreshVendorFilter(list) {
+  if (!requestsVendorFilter) return;
+  const current = requestsVendorFilter.value;
+  const vendors = [...new Set(Array.from(list.querySelectorAll(".request-row"), row => row.dataset.vendor).filter(Boolean))]
+    .sort((a, b) => a.localeCompare(b));
+  requestsVendorFilter.replaceChildren(new Option("All suppliers", ""), ...vendors.map(v => new Option(v, v)));
+  requestsVendorFilter.value = vendors.includes(current) ? current : "";
+}
+
+// Lines stay grouped under their REQ: lines sort within a group, and groups
+// sort by their first visible line
+function applyRequestView() {
+  const list = document.getElementById("requests-list");
+  const table = list?.querySelector(".requests-table");
+  if (!table) return;
+
+  list.querySelectorAll(".request-group, .request-row").forEach(el => {
+    if (!el.dataset.order) el.dataset.order = String(requestOrder++);
+  });
+  refreshVendorFilter(list);
+
+  const groups = Array.from(table.querySelectorAll(".request-group")).map(group => {
+    const rows = Array.from(group.querySelectorAll(".request-row")).sort(compareRequestLines);
+    let shown = 0;
+    rows.forEach(row => {
+      const match = requestLineMatches(row, group);
+      row.classList.toggle("hidden", !match);
+      if (match) shown++;
+      group.appendChild(row);
+    });
+    group.classList.toggle("hidden", !shown);
+    return { group, lead: rows.find(row => !row.classList.contains("hidden")) || rows[0] };
+  });
+
+  groups
+    .sort((a, b) => requestSort.key && a.lead && b.lead ? compareRequestLines(a.lead, b.lead) : Number(a.group.dataset.order) - Number(b.group.dataset.order))
+    .forEach(({ group }) => table.insertBefore(group, table.querySelector(".requests-more")));
+
+  table.querySelectorAll(".requests-header [data-sort]").forEach(btn => {
+    const active = btn.dataset.sort === requestSort.key;
+    btn.parentElement.setAttribute("aria-sort", active ? (requestSort.dir === "desc" ? "descending" : "ascending") : "none");
+  });
+
+  const visible = groups.filter(({ group }) => !group.classList.contains("hidden")).length;
+  let noMatch = list.querySelector(".requests-no-match");
+  if (!visible && !noMatch) {
+    noMatch = document.createElement("div");
+    noMatch.className = "empty requests-no-match";
+    noMatch.textContent = "No lines match these filters.";
+    table.before(noMatch);
+  } else if (visible && noMatch) {
+    noMatch.remove();
+  }
+}
+
+function setRequestSort(key, dir) {
+  requestSort = { key, dir };
+  if (requestsSort) requestsSort.value = key ? `${key}:${dir}` : "";
+  applyRequestView();
+}
+
+const csvCell = v => {
+  let s = String(v ?? "");
+  // Stop spreadsheet apps treating supplier or item names as formulas
+  if (/^[=+\-@]/.test(s) && isNaN(Number(s))) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// Exactly the lines on screen, in on-screen order
+function exportRequestsCsv() {
+  const list = document.getElementById("requests-list");
+  const rows = Array.from(list?.querySelectorAll(".request-group:not(.hidden) .request-row:not(.hidden)") || []);
+  if (!rows.length) {
+    showToast("There are no lines to export.", "error");
+    return;
+  }
+  const lines = [["REQ", "Date", "Status", "Item", "Supplier", "Amount", "PO"]];
+  rows.forEach(row => {
+    const group = row.closest(".request-group");
+    lines.push([group.dataset.tranId, group.dataset.date, group.dataset.status, row.dataset.item, row.dataset.vendor, Number(row.dataset.amount).toFixed(2), row.dataset.po]);
+  });
+  const csv = lines.map(cells => cells.map(csvCell).join(",")).join("\r\n");
+  const url = URL.createObjectURL(new Blob([csv], { type: "text/csv;charset=utf-8" }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `requests-${new Date().toISOString().slice(0, 10)}.csv`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+requestsSearch?.addEventListener("input", debounce(applyRequestView, 150));
+requestsPoFilter?.addEventListener("change", applyRequestView);
+requestsVendorFilter?.addEventListener("change", applyRequestView);
+requestsSort?.addEventListener("change", () => {
+  const [key, dir] = requestsSort.value.split(":");
+  setRequestSort(key || "", dir || "asc");
+});
+requestsExport?.addEventListener("click", exportRequestsCsv);
+
+document.addEventListener("click", e => {
+  const btn = e.target.closest(".requests-header [data-sort]");
+  if (!btn) return;
+  const key = btn.dataset.sort;
+  setRequestSort(key, requestSort.key === key && requestSort.dir === "asc" ? "desc" : "asc");
+});
+
+document.addEventListener("htmx:afterSettle", () => {
+  mergeRequestGroups();
+  applyRequestView();
+});
+
+// Order tracking: tapping a PO number opens its timeline and line progress
+const orderModal = document.getElementById("order-modal");
+const orderDetail = document.getElementById("order-detail");
+let orderModalOpener = null;
+
+const createEl = (tag, className, text) => {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text != null) node.textContent = text;
+  return node;
+};
+
+// requested → approved → ordered → partly received → received → billed. A PO
+// only exists for approved requisitions, so the first three are always done.
+function orderStages(order) {
+  const sum = key => order.lines.reduce((total, line) => total + line[key], 0);
+  const ordered = sum("quantity");
+  const received = sum("received");
+  const billed = sum("billed");
+  const last = list => list[list.length - 1];
+  const fullyReceived = ordered > 0 && received >= ordered;
+  return [
+    { label: "Requested", done: true, date: order.requisitions[0]?.date, detail: order.requisitions.map(r => r.tranId).join(", ") },
+    { label: "Approved", done: true },
+    { label: "Ordered", done: true, date: order.orderDate, detail: [order.tranId, order.vendorName].filter(Boolean).join(" · ") },
+    { label: "Partly received", done: received > 0, date: order.receipts[0]?.date, detail: received > 0 && !fullyReceived ? `${received} of ${ordered} received` : "" },
+    { label: "Received", done: fullyReceived, date: fullyReceived ? last(order.receipts)?.date : "", detail: !fullyReceived && order.expectedDate ? `Expected ${shortDate(order.expectedDate)}` : "" },
+    { label: "Billed", done: ordered > 0 && billed >= ordered, date: last(order.bills)?.date, detail: billed > 0 && billed < ordered ? `${billed} of ${ordered} billed` : "" }
+  ];
+}
+
+function renderOrderDetail(order) {
+  const stages = orderStages(order);
+  const current = stages.findIndex(stage => !stage.done);
+  const timeline = createEl("ol", "timeline");
+  stages.forEach((stage, i) => {
+    const step = createEl("li", `timeline-step${stage.done ? " done" : ""}${i === current ? " current" : ""}`, stage.label);
+    if (i === current) step.setAttribute("aria-current", "step");
+    const detail = [stage.date && shortDate(stage.date), stage.detail].filter(Boolean).join(" · ");
+    if (detail) step.appendChild(createEl("div", "timeline-detail", detail));
+    timeline.appendChild(step);
+  });
+
+  const table = createEl("table", "data-table");
+  const head = table.createTHead().insertRow();
+  ["Item", "Ordered", "Received", "Billed", "Expected"].forEach(label => head.appendChild(createEl("th", "", label)));
+  const body = table.createTBody();
+  order.lines.forEach(line => {
+    const tr = body.insertRow();
+    [line.itemName, line.quantity, line.received, line.billed, shortDate(line.expectedDate || order.expectedDate) || "—"].forEach(value => {
+      tr.insertCell().textContent = value;
+    });
+  });
+
+  const parts = [createEl("p", "order-section-title", `${order.tranId}${order.status ? ` · ${order.status}` : ""}`), timeline, createEl("p", "order-section-title", "Lines"), table];
+  if (order.receipts.length) {
+    const receipts = createEl("ul", "order-receipts");
+    order.receipts.forEach(r => receipts.appendChild(createEl("li", "", `${r.tranId} · received ${shortDate(r.date)}`)));
+    parts.push(createEl("p", "order-section-title", "Receipts"), receipts);
+  }
+  orderDetail.replaceChildren(...parts);
+}
+
+async function openOrderTracking(poId) {
+  const empId = employeeIdHidden?.value;
+  if (!orderModal || !orderDetail || !empId) return;
+  orderModalOpener = document.activeElement;
+  orderDetail.replaceChildren(createEl("div", "modal-empty", "Loading order..."));
+  orderModal.classList.add("open");
+  document.getElementById("order-modal-close")?.focus();
+  try {
+    const res = await fetch(`/api/orders/tracking?poId=${encodeURIComponent(poId)}&employeeId=${encodeURIComponent(empId)}`);
+    if (!res.ok) throw new Error(await responseError(res, "Couldn't load that order."));
+    renderOrderDetail(await res.json());
+  } catch (err) {
+    orderDetail.replaceChildren(createEl("div", "modal-empty", err.message || "Couldn't load that order."));
+  }
+}
+
+function closeOrderTracking() {
+  orderModal.classList.remove("open");
+  orderModalOpener?.focus?.();
+  orderModalOpener = null;
+}
+
+if (orderModal) {
+  document.getElementById("order-modal-close")?.addEventListener("click", closeOrderTracking);
+  orderModal.addEventListener("click", e => {
+    if (e.target === orderModal) closeOrderTracking();
+  });
+  trapModalKeys(orderModal, closeOrderTracking);
+
+  document.addEventListener("click", e => {
+    const link = e.target.closest(".po-link");
+    if (link) openOrderTracking(link.dataset.poId);
+  });
+}
+
+// Approvals
+function refreshApprovals() {
+  const list = document.getElementById("approvals-list");
+  const id = employeeIdHidden?.value;
+  if (!list || !id) return;
+
+  list.innerHTML = '<div class="requests-loading"><div class="spinner"></div><span>Loading approvals...</span></div>';
+  if (refreshApprovalsBtn) refreshApprovalsBtn.classList.add("loading");
+
+  htmx.ajax("GET", `/api/approvals?approverId=${encodeURIComponent(id)}`, {
+    target: "#approvals-list",
+    swap: "innerHTML"
+  }).finally(() => {
+    if (refreshApprovalsBtn) refreshApprovalsBtn.classList.remove("loading");
+  });
+}
+
+async function decideApproval(card, decision, btn) {
+  const approverId = employeeIdHidden?.value;
+  const tranId = card.dataset.tranId;
+  const reason = card.querySelector(".reject-reason")?.value.trim() || "";
+  if (!approverId) return;
+
+  btn.classList.add("loading");
+  try {
+    const res = await fetch("/api/approvals/decide", {
+      method: "POST",
+      body: new URLSearchParams({ id: card.dataset.id, approverId, decision, reason })
+    });
+    if (res.ok) {
+      showToast(`${tranId} ${decision === "approve" ? "approved" : "rejected"}.`, "success");
+      card.remove();
+      if (!document.querySelector(".approval-card")) refreshApprovals();
+      return;
+    }
+    showToast(await responseError(res, "Couldn't record your decision."), "error");
+  } catch {
+    showToast("Couldn't record your decision.", "error");
+  }
+  btn.classList.remove("loading");
+}
+
+document.addEventListener("click", e => {
+  const card = e.target.closest(".approval-card");
+  if (!card) return;
+
+  const approveBtn = e.target.closest(".approval-approve-btn");
+  if (approveBtn) {
+    decideApproval(card, "approve", approveBtn);
+    return;
+  }
+
+  // First click asks for a reason, the second sends it
+  const rejectBtn = e.target.closest(".approval-reject-btn");
+  if (!rejectBtn) return;
+  const rejectPanel = card.querySelector(".approval-reject");
+  const reasonInput = card.querySelector(".reject-reason");
+  if (rejectPanel.classList.contains("hidden")) {
+    rejectPanel.classList.remove("hidden");
+    rejectBtn.textContent = "Confirm reject";
+    reasonInput.focus();
+    return;
+  }
+  if (!reasonInput.value.trim()) {
+    showToast("Please give a reason for rejecting.", "error");
+    reasonInput.focus();
+    return;
+  }
+  decideApproval(card, "reject", rejectBtn);
+});
+
+// Form
+if (addItemButton) {
+  addItemButton.addEventListener("click", addItemRow);
+}
+
+// Bulk import: pasted TSV/CSV or a .csv file. Columns are matched by header
+// name when there is a header row, otherwise taken in IMPORT_ORDER.
+const importModal = document.getElementById("import-modal");
+const importText = document.getElementById("import-text");
+const importFile = document.getElementById("import-file");
+const importReview = document.getElementById("import-review");
+const importSubmit = document.getElementById("import-submit");
+
+const IMPORT_ORDER = ["sku", "quantity", "price", "vendor", "note"];
+const IMPORT_HEADERS = {
+  sku: ["sku", "item", "itemid", "item id", "item code"],
+  quantity: ["qty", "quantity"],
+  price: ["price", "rate", "unit price", "est. price", "cost"],
+  vendor: ["vendor", "supplier"],
+  note: ["note", "notes", "description", "line note"]
+};
+
+// Rows of trimmed cells; tabs win over commas, and "quoted, cells" with "" escapes are honoured
+function parseDelimited(text) {
+  const delimiter = text.includes("\t") ? "\t" : ",";
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && !cell.trim()) {
+      quoted = true;
+      cell = "";
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+  return rows.map(r => r.map(c => c.trim()));
+}
+
+// Spreadsheets hand over "$1,250.00"; blank stays blank so the vendor price can fill in
+const importNumber = v => {
+  const cleaned = String(v || "").replace(/[^0-9.-]/g, "");
+  return cleaned === "" || isNaN(Number(cleaned)) ? "" : Number(cleaned);
+};
+
+function parseImportLines(text) {
+  // Keep spreadsheet row numbers for the review table, then drop blank rows
+  const rows = parseDelimited(text)
+    .map((cells, i) => ({ cells, line: i + 1 }))
+    .filter(r => r.cells.some(Boolean));
+  if (!rows.length) return [];
+  const header = rows[0].cells.map(c => c.toLowerCase());
+  const named = Object.fromEntries(Object.entries(IMPORT_HEADERS).map(([field, names]) => [field, header.findIndex(h => names.includes(h))]));
+  const hasHeader = named.sku >= 0;
+  const column = hasHeader ? named : Object.fromEntries(IMPORT_ORDER.map((field, i) => [field, i]));
+  return rows.slice(hasHeader ? 1 : 0).map(({ cells, line }) => {
+    const cell = field => (column[field] >= 0 ? cells[column[field]] || "" : "");
+    return {
+      line,
+      sku: cell("sku"),
+      quantity: importNumber(cell("quantity")) || 1,
+      price: importNumber(cell("price")),
+      vendor: cell("vendor"),
+      note: cell("note")
+    };
+  });
+}
+
+// Adds a pre-filled row per matched line; returns the lines that need a look
+async function importLines(lines) {
+  const unique = key => [...new Set(lines.map(l => l[key]).filter(Boolean))];
+  const res = await fetch(`/api/items/lookup?skus=${encodeURIComponent(JSON.stringify(unique("sku")))}&vendorNames=${encodeURIComponent(JSON.stringify(unique("vendor")))}&subsidiary=${encodeURIComponent(activeSubsidiary)}`);
+  if (!res.ok) throw new Error(await responseError(res, "Couldn't look up those SKUs."));
+  const { items, vendors } = await res.json();
+
+  // Blank rows would sit above the imported ones and block submit
+  itemsContainer.querySelectorAll(".item-row").forEach(row => {
+    if (!row._getData().itemId && !row.querySelector(".item-search").value.trim()) row.remove();
+  });
+
+  const problems = [];
+  const fills = [];
+  lines.forEach(l => {
+    const item = l.sku && items[l.sku.toLowerCase()];
+    if (!item) {
+      problems.push({ ...l, problem: l.sku ? "SKU not found or inactive" : "No SKU" });
+      return;
+    }
+    const vendor = l.vendor && vendors[l.vendor.toLowerCase()];
+    if (l.vendor && !vendor) problems.push({ ...l, problem: "Vendor not found; added without a vendor" });
+    // A vendor not linked to the SKU is reported, not added to the item's vendors
+    fills.push(addItemRow()._fill({
+      itemId: item.id,
+      itemName: item.name,
+      vendorId: vendor?.id || "",
+      vendorName: vendor?.name || "",
+      quantity: l.quantity,
+      rate: l.price,
+      description: l.note,
+      refreshPrice: l.price === "",
+      dropUnlistedVendor: true
+    }).then(dropped => {
+      if (dropped) problems.push({ ...l, problem: "Vendor doesn't supply this item; added without a vendor" });
+    }));
+  });
+  await Promise.all(fills);
+  problems.sort((a, b) => a.line - b.line);
+  if (!itemsContainer.querySelector(".item-row")) addItemRow();
+  updateTotals();
+  scheduleDraftSave();
+  return { added: fills.length, problems };
+}
+
+function renderImportReview(added, problems) {
+  const summary = document.createElement("p");
+  summary.className = "import-summary";
+  summary.textContent = `Added ${added} line${added === 1 ? "" : "s"}. ${problems.length} need${problems.length === 1 ? "s" : ""} attention:`;
+
+  const table = document.createElement("table");
+  table.className = "data-table";
+  const head = table.createTHead().insertRow();
+  ["Row", "SKU", "Vendor", "Problem"].forEach(label => {
+    const th = document.createElement("th");
+    th.textContent = label;
+    head.appendChild(th);
+  });
+  const body = table.createTBody();
+  problems.forEach(p => {
+    const tr = body.insertRow();
+    [p.line, p.sku || "—", p.vendor || "—", p.problem].forEach(value => {
+      tr.insertCell().textContent = value;
+    });
+  });
+  importReview.replaceChildren(summary, table);
+}
+
+let importModalOpener = null;
+
+function openImportModal() {
+  importModalOpener = document.activeElement;
+  importReview.replaceChildren();
+  importModal.classList.add("open");
+  importText.focus();
+}
+
+function closeImportModal() {
+  importModal.classList.remove("open");
+  importModalOpener?.focus?.();
+  importModalOpener = null;
+}
+
+if (importModal && importText && importReview && importSubmit) {
+  document.getElementById("import-lines")?.addEventListener("click", openImportModal);
+  document.getElementById("import-modal-close")?.addEventListener("click", closeImportModal);
+  importModal.addEventListener("click", e => {
+    if (e.target === importModal) closeImportModal();
+  });
+  trapModalKeys(importModal, closeImportModal);
+
+  importFile?.addEventListener("change", async () => {
+    const file = importFile.files?.[0];
+    if (!file) return;
+    importText.value = await file.text();
+    importFile.value = "";
+  });
+
+  importSubmit.addEventListener("click", async () => {
+    const lines = parseImportLines(importText.value);
+    if (!lines.length) {
+      showToast("Paste some lines or choose a file first.", "error");
+      return;
+    }
+    importSubmit.disabled = true;
+    try {
+      const { added, problems } = await importLines(lines);
+      importText.value = "";
+      if (problems.length) {
+        renderImportReview(added, problems);
+        announce(`Added ${added} lines. ${problems.length} need attention.`);
+      } else {
+        closeImportModal();
+        showToast(`Added ${added} line${added === 1 ? "" : "s"}.`, "success");
+      }
+    } catch (err) {
+      showToast(err.message || "Import failed.", "error");
+    } finally {
+      importSubmit.disabled = false;
+    }
+  });
+}
+
+// Drafts: the new-request form auto-saves to localStorage as one of several
+// named drafts per employee. Edits of a submitted requisition aren't drafted,
+// and attachments aren't kept (too large for localStorage).
+const DRAFTS_KEY = "genia.drafts.";
+const CURRENT_DRAFT_KEY = "genia.currentDraft.";
+const DRAFT_SAVE_DELAY_MS = 800;
+const draftNameInput = document.getElementById("draft-name");
+const draftSavedLabel = document.getElementById("draft-saved");
+const draftsOpenButton = document.getElementById("drafts-open");
+const draftsModal = document.getElementById("drafts-modal");
+const draftsList = document.getElementById("drafts-list");
+
+let currentDraftId = null;
+let restoringDraft = false;
+let draftsModalOpener = null;
+
+function loadDrafts(empId) {
+  try {
+    return JSON.parse(storage.get(DRAFTS_KEY + empId) || "[]");
+  } catch {
+    return [];
+  }
+}
+
+function storeDrafts(empId, drafts) {
+  storage.set(DRAFTS_KEY + empId, JSON.stringify(drafts));
+}
+
+function setCurrentDraft(empId, id) {
+  currentDraftId = id;
+  if (id) storage.set(CURRENT_DRAFT_KEY + empId, id);
+  else storage.remove(CURRENT_DRAFT_KEY + empId);
+}
+
+const draftTime = ts => new Date(ts).toLocaleString(undefined, { day: "numeric", month: "short", hour: "numeric", minute: "2-digit" });
+
+function collectDraft() {
+  return {
+    location: locationIdHidden?.value || "",
+    memo: document.getElementById("memo")?.value || "",
+    fields: collectFields(requisitionForm, "header"),
+    rows: Array.from(itemsContainer.querySelectorAll(".item-row")).map(row => row._getDraft())
+  };
+}
+
+const draftIsEmpty = draft => !draft.memo.trim() && !Object.values(draft.fields).some(Boolean) && !draft.rows.some(r => r.itemId || r.itemName.trim() || r.note.trim());
+
+function saveDraftNow() {
+  const empId = employeeIdHidden?.value;
+  if (!empId || !requisitionForm || !itemsContainer || restoringDraft || requisitionIdInput?.value) return;
+  const draft = collectDraft();
+  const drafts = loadDrafts(empId);
+  const existing = drafts.find(d => d.id === currentDraftId);
+  if (!existing && draftIsEmpty(draft)) return;
+  const firstItem = draft.rows.find(r => r.itemName.trim())?.itemName.trim();
+  const entry = {
+    ...draft,
+    id: existing?.id || newIdempotencyKey(),
+    // The submit key travels with its draft, so resuming a draft whose submit may have gone through replays it
+    idempotencyKey,
+    name: draftNameInput?.value.trim() || existing?.name || `${firstItem || "Draft"} · ${draftTime(Date.now())}`,
+    updatedAt: Date.now()
+  };
+  storeDrafts(empId, [entry, ...drafts.filter(d => d.id !== entry.id)]);
+  setCurrentDraft(empId, entry.id);
+  renderDraftBar();
+}
+
+const scheduleDraftSave = debounce(saveDraftNow, DRAFT_SAVE_DELAY_MS);
+
+function renderDraftBar() {
+  const empId = employeeIdHidden?.value;
+  const drafts = empId ? loadDrafts(empId) : [];
+  const current = drafts.find(d => d.id === currentDraftId);
+  if (draftNameInput && document.activeElement !== draftNameInput) draftNameInput.value = current?.name || "";
+  if (draftSavedLabel) draftSavedLabel.textContent = current ? `Saved ${new Date(current.updatedAt).toLocaleTimeString(undefined, { hour: "numeric", minute: "2-digit" })}` : "";
+  if (draftsOpenButton) draftsOpenButton.textContent = drafts.length ? `Drafts (${drafts.length})` : "Drafts";
+}
+
+function restoreDraft(draft) {
+  restoringDraft = true;
+  try {
+    endEdit();
+    requisitionForm.reset();
+    document.getElementById("form-attachments")?._clear?.();
+    const memo = document.getElementById("memo");
+    if (memo) memo.value = draft.memo || "";
+    requisitionForm.querySelectorAll("[data-header-field]").forEach(input => {
+      input.value = draft.fields?.[input.dataset.headerField] || "";
+    });
+    if (draft.location && locationSelect?.querySelector(`option[value="${CSS.escape(draft.location)}"]`)) {
+      locationSelect.value = draft.location;
+      setLocation(draft.location);
+    }
+    idempotencyKey = draft.idempotencyKey || null;
+    itemsContainer.innerHTML = "";
+    draft.rows.forEach(row => addItemRow()._restoreDraft(row));
+    if (!draft.rows.length) addItemRow();
+    clearFieldErrors();
+    updateTotals();
+  } finally {
+    restoringDraft = false;
+  }
+  setCurrentDraft(employeeIdHidden.value, draft.id);
+  renderDraftBar();
+}
+
+// Pick up where this employee left off, e.g. after a reload
+function resumeLastDraft() {
+  const empId = employeeIdHidden?.value;
+  const id = empId && storage.get(CURRENT_DRAFT_KEY + empId);
+  const draft = id && loadDrafts(empId).find(d => d.id === id);
+  if (!draft) return false;
+  restoreDraft(draft);
+  return true;
+}
+
+// Keeps the current draft; the next change starts a new one
+function startNewDraft() {
+  saveDraftNow();
+  setCurrentDraft(employeeIdHidden?.value, null);
+  resetRequisitionForm();
+}
+
+// Once a draft is submitted (or queued), it's done with
+function discardCurrentDraft() {
+  const empId = employeeIdHidden?.value;
+  if (!empId || !currentDraftId) return;
+  storeDrafts(empId, loadDrafts(empId).filter(d => d.id !== currentDraftId));
+  setCurrentDraft(empId, null);
+  renderDraftBar();
+}
+
+function renderDraftsList() {
+  const empId = employeeIdHidden?.value;
+  const drafts = empId ? loadDrafts(empId) : [];
+  if (!drafts.length) {
+    draftsList.replaceChildren(createEl("div", "modal-empty", empId ? "No drafts yet. The form saves itself as you go." : "Select your name to see your drafts."));
+    return;
+  }
+  draftsList.replaceChildren(...drafts.map(draft => {
+    const card = createEl("div", `draft-entry${draft.id === currentDraftId ? " current" : ""}`);
+    const lines = draft.rows.filter(r => r.itemId || r.itemName.trim()).length;
+    const info = createEl("div", "draft-info");
+    info.append(createEl("div", "draft-title", draft.name), createEl("div", "draft-meta", `${lines} line${lines === 1 ? "" : "s"} · ${draftTime(draft.updatedAt)}${draft.id === currentDraftId ? " · open now" : ""}`));
+    const actions = createEl("div", "draft-actions");
+    [["resume", "Resume"], ["duplicate", "Duplicate"], ["delete", "Delete"]].forEach(([action, text]) => {
+      const btn = createEl("button", "btn btn-ghost", text);
+      btn.type = "button";
+      btn.dataset.draftAction = action;
+      btn.dataset.id = draft.id;
+      btn.setAttribute("aria-label", `${text} ${draft.name}`);
+      actions.append(btn);
+    });
+    card.append(info, actions);
+    return card;
+  }));
+}
+
+function openDraftsModal() {
+  saveDraftNow();
+  draftsModalOpener = document.activeElement;
+  renderDraftsList();
+  draftsModal.classList.add("open");
+  draftsModal.querySelector("button")?.focus();
+}
+
+function closeDraftsModal() {
+  draftsModal.classList.remove("open");
+  draftsModalOpener?.focus?.();
+  draftsModalOpener = null;
+}
+
+if (draftsModal && draftsList) {
+  draftsOpenButton?.addEventListener("click", openDraftsModal);
+  document.getElementById("drafts-modal-close")?.addEventListener("click", closeDraftsModal);
+  document.getElementById("draft-new")?.addEventListener("click", () => {
+    startNewDraft();
+    showToast("Started a new draft.", "success");
+  });
+  draftsModal.addEventListener("click", e => {
+    if (e.target === draftsModal) closeDraftsModal();
+  });
+  trapModalKeys(draftsModal, closeDraftsModal);
+
+  draftsList.addEventListener("click", e => {
+    const btn = e.target.closest("[data-draft-action]");
+    const empId = employeeIdHidden?.value;
+    if (!btn || !empId) return;
+    const drafts = loadDrafts(empId);
+    const draft = drafts.find(d => d.id === btn.dataset.id);
+    if (!draft) return;
+
+    if (btn.dataset.draftAction === "resume") {
+      closeDraftsModal();
+      restoreDraft(draft);
+      showToast(`Resumed "${draft.name}".`, "success");
+    } else if (btn.dataset.draftAction === "duplicate") {
+      storeDrafts(empId, [{ ...draft, id: newIdempotencyKey(), idempotencyKey: null, name: `${draft.name} (copy)`, updatedAt: Date.now() }, ...drafts]);
+      renderDraftsList();
+      renderDraftBar();
+      draftsList.querySelector("button")?.focus();
+    } else if (btn.dataset.draftAction === "delete") {
+      if (!window.confirm(`Delete "${draft.name}"?`)) return;
+      storeDrafts(empId, drafts.filter(d => d.id !== draft.id));
+      if (draft.id === currentDraftId) {
+        setCurrentDraft(empId, null);
+        resetRequisitionForm();
+      }
+      renderDraftsList();
+      renderDraftBar();
+      (draftsList.querySelector("button") || draftsModal.querySelector("button"))?.focus();
+    }
+  });
+}
+
+if (draftNameInput) {
+  draftNameInput.addEventListener("input", scheduleDraftSave);
+}
+
+// Catch anything the debounce hasn't written yet before the tab goes away
+window.addEventListener("pagehide", saveDraftNow);
+document.addEventListener("visibilitychange", () => {
+  if (document.visibilityState === "hidden") saveDraftNow();
+});
+
+// One key per request being filled in: every retry of the same submit sends
+// it, so NetSuite hands back the requisition it already created. Drafts keep
+// their own; switching draft, employee, or to an edit or "Request again"
+// swaps it out.
+let idempotencyKey = null;
+
+function newIdempotencyKey() {
+  if (window.crypto?.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+// Back to an empty form once a submit has been sent or queued
+function resetRequisitionForm() {
+  discardCurrentDraft();
+  idempotencyKey = null;
+  endEdit();
+  requisitionForm.reset();
+  document.getElementById("form-attachments")?._clear?.();
+  if (itemsContainer) {
+    itemsContainer.innerHTML = "";
+    addItemRow();
+    updateTotals();
+  }
+  const statusEl = document.getElementById("form-status");
+  if (statusEl) statusEl.innerHTML = "";
+}
+
+// Offline outbox: a submit that can't reach the server is kept in IndexedDB,
+// with its idempotency key, and replayed when the connection returns. A replay
+// of a submit that did get through resolves to the requisition already made.
+const outboxList = document.getElementById("outbox");
+const offlineBanner = document.getElementById("offline-banner");
+const OUTBOX_SENT_KEEP_MS = 24 * 60 * 60 * 1000;
+const OUTBOX_STATUS = {
+  pending: ["badge-pending", "Waiting to send"],
+  sent: ["badge-approved", "Sent"],
+  failed: ["badge-rejected", "Failed"]
+};
+let flushingOutbox = false;
+
+// "Nitrile gloves ×3, Duct tape" from the rows being submitted
+const outboxLabel = rows => rows
+  .map(row => {
+    const name = row.querySelector(".item-search")?.value.trim() || "Item";
+    const qty = Number(row.querySelector(".quantity")?.value) || 1;
+    return qty > 1 ? `${name} ×${qty}` : name;
+  })
+  .join(", ");
+
+async function queueSubmission({ params, label }) {
+  try {
+    await idb("outbox", "readwrite", store => store.put({ id: params.idempotencyKey, params, label, status: "pending", createdAt: Date.now() }));
+  } catch (err) {
+    console.error("Outbox save error:", err);
+    showToast("No connection, and this browser can't hold the request. Try again when you're back online.", "error");
+    return false;
+  }
+  showToast("No connection. Saved to the outbox; it will send when you're back online.", "success");
+  renderOutbox();
+  return true;
+}
+
+async function saveOutboxEntry(entry) {
+  await idb("outbox", "readwrite", store => store.put(entry));
+}
+
+// Oldest first, one at a time. A network error or a server-side failure leaves
+// the rest pending for the next attempt; a 4xx will never succeed as sent, so
+// it marks that one failed and moves on.
+async function flushOutbox() {
+  if (flushingOutbox || !navigator.onLine) return;
+  flushingOutbox = true;
+  try {
+    const pending = (await idb("outbox", "readonly", store => store.getAll()))
+      .filter(e => e.status === "pending")
+      .sort((a, b) => a.createdAt - b.createdAt);
+    for (const entry of pending) {
+      let res;
+      try {
+        res = await fetch("/api/requisitions", { method: "POST", body: new URLSearchParams(entry.params) });
+      } catch (err) {
+        break;
+      }
+      if (res.ok) {
+        const tranId = res.headers.get("X-Requisition-Tran-Id") || "";
+        await saveOutboxEntry({ ...entry, status: "sent", tranId, sentAt: Date.now() });
+        showToast(`${tranId || "Queued request"} sent from the outbox.`, "success");
+        searchCache.clear();
+      } else if (res.status >= 400 && res.status < 500) {
+        const fallback = res.status === 422 ? "NetSuite didn't accept this request."
+          : res.status === 413 ? "The request and its attachments are too large to send."
+          : "The server couldn't read this request.";
+        await saveOutboxEntry({ ...entry, status: "failed", error: await responseError(res, fallback) });
+        showToast("A queued request couldn't be sent. See the outbox.", "error");
+      } else {
+        break;
+      }
+    }
+  } catch (err) {
+    console.error("Outbox error:", err);
+  } finally {
+    flushingOutbox = false;
+    renderOutbox();
+  }
+}
+
+function outboxEntryCard(entry) {
+  const card = createEl("div", "outbox-entry");
+  const [badgeClass, statusText] = OUTBOX_STATUS[entry.status];
+  const header = createEl("div", "outbox-entry-header");
+  header.append(createEl("span", "outbox-label", entry.label || "Request"), createEl("span", `badge ${badgeClass}`, entry.tranId ? `${statusText} · ${entry.tranId}` : statusText));
+  const when = new Date(entry.createdAt).toLocaleString(undefined, { day: "numeric", month: "short", hour: "numeric", minute: "2-digit" });
+  card.append(header, createEl("div", "outbox-time", `Queued ${when}`));
+  if (entry.error) card.append(createEl("div", "outbox-error", entry.error));
+
+  const actions = createEl("div", "outbox-actions");
+  const action = (name, text) => {
+    const btn = createEl("button", "btn btn-ghost", text);
+    btn.type = "button";
+    btn.dataset.outboxAction = name;
+    btn.dataset.id = entry.id;
+    actions.append(btn);
+  };
+  if (entry.status === "failed") action("retry", "Retry");
+  action("discard", entry.status === "sent" ? "Dismiss" : "Discard");
+  card.append(actions);
+  return card;
+}
+
+async function renderOutbox() {
+  if (!outboxList) return;
+  let entries = [];
+  try {
+    entries = await idb("outbox", "readonly", store => store.getAll());
+    const expired = entries.filter(e => e.status === "sent" && Date.now() - e.sentAt > OUTBOX_SENT_KEEP_MS);
+    if (expired.length) await idb("outbox", "readwrite", store => expired.forEach(e => store.delete(e.id)));
+    entries = entries.filter(e => !expired.includes(e)).sort((a, b) => b.createdAt - a.createdAt);
+  } catch (err) {
+    console.error("Outbox load error:", err);
+  }
+  outboxList.classList.toggle("hidden", !entries.length);
+  outboxList.replaceChildren(...(entries.length ? [createEl("div", "section-title", "Outbox"), ...entries.map(outboxEntryCard)] : []));
+}
+
+function updateOfflineBanner() {
+  offlineBanner?.classList.toggle("hidden", navigator.onLine);
+}
+
+if (outboxList) {
+  outboxList.addEventListener("click", async e => {
+    const btn = e.target.closest("[data-outbox-action]");
+    if (!btn) return;
+    const entry = await idb("outbox", "readonly", store => store.get(btn.dataset.id));
+    if (!entry) return;
+    if (btn.dataset.outboxAction === "discard") {
+      if (entry.status !== "sent" && !window.confirm("Discard this request? It hasn't been sent.")) return;
+      await idb("outbox", "readwrite", store => store.delete(entry.id));
+      renderOutbox();
+    } else if (btn.dataset.outboxAction === "retry") {
+      await saveOutboxEntry({ ...entry, status: "pending", error: "" });
+      flushOutbox();
+    }
+  });
+}
+
+window.addEventListener("online", () => {
+  updateOfflineBanner();
+  flushOutbox();
+});
+window.addEventListener("offline", updateOfflineBanner);
+// Wi-Fi can come back without an "online" event, e.g. after sleep
+document.addEventListener("visibilitychange", () => {
+  if (document.visibilityState === "visible") flushOutbox();
+});
+
+// Duplicate check: other requests at this location already asking for the same items
+const duplicateModal = document.getElementById("duplicate-modal");
+const duplicateList = document.getElementById("duplicate-list");
+const duplicateReasonInput = document.getElementById("duplicate-reason");
+let duplicateModalOpener = null;
+let resolveDuplicateModal = null;
+
+// An unreachable check shouldn't block the submit, so failures read as "no matches"
+async function findDuplicates(items, locId) {
+  const params = new URLSearchParams({
+    itemIds: JSON.stringify([...new Set(items.map(item => item.itemId).filter(Boolean))]),
+    location: locId,
+    excludeId: requisitionIdInput?.value || ""
+  });
+  try {
+    const res = await fetch(`/api/requisitions/duplicates?${params}`);
+    if (!res.ok) return [];
+    const matches = await res.json();
+    return Array.isArray(matches) ? matches : [];
+  } catch (err) {
+    console.error("Duplicate check error:", err);
+    return [];
+  }
+}
+
+function renderDuplicates(matches) {
+  const table = createEl("table", "data-table");
+  const head = table.createTHead().insertRow();
+  ["Request", "Date", "Requested by", "Item", "Qty", "Status"].forEach(label => head.appendChild(createEl("th", "", label)));
+  const body = table.createTBody();
+  matches.forEach(m => {
+    const tr = body.insertRow();
+    [m.tranId || m.id, shortDate(m.date) || "—", m.requestor || "—", m.itemName, m.quantity, m.status || "—"].forEach(value => {
+      tr.insertCell().textContent = value;
+    });
+  });
+  duplicateList.replaceChildren(table);
+}
+
+// Resolves with the reason given, or null if the user backs out
+function askDuplicateReason(matches) {
+  if (!duplicateModal || !duplicateList || !duplicateReasonInput) return Promise.resolve("");
+  duplicateModalOpener = document.activeElement;
+  renderDuplicates(matches);
+  duplicateReasonInput.value = "";
+  clearFieldError(duplicateReasonInput);
+  duplicateModal.classList.add("open");
+  duplicateReasonInput.focus();
+  return new Promise(resolve => { resolveDuplicateModal = resolve; });
+}
+
+function closeDuplicateModal(reason = null) {
+  duplicateModal.classList.remove("open");
+  duplicateModalOpener?.focus?.();
+  duplicateModalOpener = null;
+  resolveDuplicateModal?.(reason);
+  resolveDuplicateModal = null;
+}
+
+if (duplicateModal && duplicateReasonInput) {
+  const cancel = () => closeDuplicateModal();
+  document.getElementById("duplicate-modal-close")?.addEventListener("click", cancel);
+  document.getElementById("duplicate-cancel")?.addEventListener("click", cancel);
+  document.getElementById("duplicate-continue")?.addEventListener("click", () => {
+    const reason = duplicateReasonInput.value.trim();
+    if (!reason) {
+      clearFieldError(duplicateReasonInput);
+      duplicateReasonInput.classList.add("invalid");
+      duplicateReasonInput.closest(".field").appendChild(createEl("div", "field-error", "Please say why this request is still needed."));
+      duplicateReasonInput.focus();
+      return;
+    }
+    closeDuplicateModal(reason);
+  });
+  duplicateReasonInput.addEventListener("input", () => clearFieldError(duplicateReasonInput));
+  duplicateModal.addEventListener("click", e => {
+    if (e.target === duplicateModal) cancel();
+  });
+  trapModalKeys(duplicateModal, cancel);
+}
+
+if (requisitionForm) {
   const submitBtn = requisitionForm.querySelector('button[type="submit"]');
+  // The last submit's parameters, queued if the request never reaches the server
+  let lastSubmission = null;
+
+  // null until this submit's duplicate check has run, then the reason given ("" if nothing matched)
+  let duplicateReason = null;
+
+  const checkDuplicatesThenSubmit = async (items, locId) => {
+    setLoading(submitBtn, true);
+    const matches = await findDuplicates(items, locId);
+    setLoading(submitBtn, false);
+    const reason = matches.length ? await askDuplicateReason(matches) : "";
+    if (reason === null) return;
+    duplicateReason = reason;
+    requisitionForm.requestSubmit();
+  };
+
+  const queueLastSubmission = async () => {
+    if (lastSubmission && await queueSubmission(lastSubmission)) resetRequisitionForm();
+    lastSubmission = null;
+  };
+
+  requisitionForm.addEventListener("input", e => {
+    clearFieldError(e.target);
+    if (e.target.matches(".quantity, .estimated-price")) updateTotals();
+    scheduleDraftSave();
+  });
+  requisitionForm.addEventListener("change", e => {
+    clearFieldError(e.target);
+    if (e.target.matches(".vendor-select")) updateTotals();
+    scheduleDraftSave();
+  });
 
   requisitionForm.addEventListener("htmx:configRequest", e => {
     const empId = employeeIdHidden?.value;
@@ -444,31 +2540,86 @@ if (requisitionForm) {
       showToast("Please add at least one item.", "error");
       return;
     }
+    // Offline submits go to the outbox unchecked; they can't be looked up anyway
+    if (duplicateReason === null && navigator.onLine) {
+      e.preventDefault();
+      checkDuplicatesThenSubmit(items, locId);
+      return;
+    }
+    const reason = duplicateReason;
+    duplicateReason = null;
+    const warnings = spendWarnings(updateTotals());
+    if (warnings.length && !window.confirm(`${warnings.join("\n")}\n\nSubmit anyway?`)) {
+      e.preventDefault();
+      return;
+    }
+    clearFieldErrors();
+    submittedRows = filledRows();
+    const attachments = collectAttachments(submittedRows);
+    if (attachments.reduce((sum, att) => sum + att.size, 0) > MAX_TOTAL_ATTACHMENT_BYTES) {
+      e.preventDefault();
+      showToast("Attachments add up to more than 6MB.", "error");
+      return;
+    }
+    if (attachments.length) {
+      e.detail.parameters.attachmentsJson = JSON.stringify(attachments.map(({ size, ...att }) => att));
+    }
     e.detail.parameters.itemsJson = JSON.stringify(items);
+    e.detail.parameters.fieldsJson = JSON.stringify(collectFields(requisitionForm, "header"));
     e.detail.parameters.requestorId = empId;
     e.detail.parameters.location = locId;
+    if (reason) {
+      e.detail.parameters.notes = [e.detail.parameters.notes, `Possible duplicate: ${reason}`].filter(Boolean).join("\n");
+    }
+    if (!idempotencyKey) {
+      idempotencyKey = newIdempotencyKey();
+      saveDraftNow();
+    }
+    e.detail.parameters.idempotencyKey = idempotencyKey;
+    lastSubmission = { params: { ...e.detail.parameters }, label: outboxLabel(submittedRows) };
+    if (!navigator.onLine) {
+      e.preventDefault();
+      queueLastSubmission();
+      return;
+    }
     setLoading(submitBtn, true);
   });
 
   requisitionForm.addEventListener("htmx:afterRequest", e => {
     setLoading(submitBtn, false);
     if (e.detail.xhr.status === 200) {
-      // Extract REQ number from response HTML
-      const responseText = e.detail.xhr.responseText || "";
-      const match = responseText.match(/Requisition\s+(REQ\d+)/i);
-      const reqNumber = match ? match[1] : null;
+      const reqNumber = e.detail.xhr.getResponseHeader("X-Requisition-Tran-Id") || null;
+      const updated = Boolean(requisitionIdInput?.value);
       
-      showToast(reqNumber ? `${reqNumber} created!` : "Request submitted!", "success");
-      
-      // Clear form after success
-      requisitionForm.reset();
-      if (itemsContainer) {
-        itemsContainer.innerHTML = "";
-        addItemRow();
+      if (updated) {
+        showToast(reqNumber ? `${reqNumber} updated!` : "Request updated!", "success");
+      } else {
+        showToast(reqNumber ? `${reqNumber} created!` : "Request submitted!", "success");
+      }
+      // New vendors may now be linked to items; don't serve the old lists
+      searchCache.clear();
+      loadFrequentItems();
+      lastSubmission = null;
+      resetRequisitionForm();
+    } else if (e.detail.xhr.status === 0) {
+      // Never reached the server: the connection dropped mid-submit
+      queueLastSubmission();
+    } else if (e.detail.xhr.status === 422) {
+      let body = null;
+      try { body = JSON.parse(e.detail.xhr.responseText); } catch {}
+      const errors = body?.errors || [];
+      // The key went with a different set of lines; there's no input for it,
+      // so start a fresh one or every resubmit hits the same conflict
+      const keyError = errors.find(err => err.code === "CONFLICT" || err.field === "idempotencyKey");
+      if (keyError) {
+        idempotencyKey = null;
+        saveDraftNow();
+        clearFieldErrors();
+        showToast("This form's submission was already used for a different request. Submit again to send it as a new one.", "error");
       }
-      // Clear the status area
-      const statusEl = document.getElementById("form-status");
-      if (statusEl) statusEl.innerHTML = "";
+      const fieldErrors = errors.filter(err => err !== keyError);
+      if (fieldErrors.length) showFieldErrors(fieldErrors);
+      else if (!keyError) showToast("Failed to submit request. Please try again.", "error");
     } else {
       showToast("Failed to submit request. Please try again.", "error");
     }
@@ -509,15 +2660,32 @@ if (refreshBtn) {
   refreshBtn.addEventListener("click", refreshRequests);
 }
 
+if (refreshApprovalsBtn) {
+  refreshApprovalsBtn.addEventListener("click", refreshApprovals);
+}
+
 // Location change
 if (locationSelect) {
   locationSelect.addEventListener("change", () => {
     setLocation(locationSelect.value);
+    if (quickAddScope?.value === "location") loadFrequentItems();
+    scheduleDraftSave();
   });
 }
 
 // Init
+const formAttachmentsInput = document.getElementById("form-attachments");
+if (formAttachmentsInput) setupAttachmentPicker(formAttachmentsInput);
+
+if ("serviceWorker" in navigator) {
+  navigator.serviceWorker.register("/sw.js").catch(err => console.error("Service worker error:", err));
+}
+
 document.addEventListener("DOMContentLoaded", async () => {
+  updateOfflineBanner();
+  renderOutbox();
+  flushOutbox();
+
   // Show loading state immediately on requests page
   if (window.location.pathname === "/requests") {
     const list = document.getElementById("requests-list");
@@ -525,10 +2693,22 @@ document.addEventListener("DOMContentLoaded", async () => {
   }
   
   // Load data in parallel and wait for completion
-  await Promise.all([loadEmployees(), loadLocations()]);
+  await Promise.all([
+    loadEmployees().then(applyEmployeeSubsidiary),
+    loadOptions(document.getElementById("department-select"), "/api/departments"),
+    loadOptions(document.getElementById("class-select"), "/api/classes")
+  ]);
   
-  if (itemsContainer) addItemRow();
+  const params = new URLSearchParams(window.location.search);
+  const editId = params.get("edit");
+  const againId = params.get("again");
+  if (itemsContainer && !(editId && await startEdit(editId)) && !(againId && await startRequestAgain(againId)) && !resumeLastDraft()) addItemRow();
+  renderDraftBar();
+  loadPurchaseLimits();
   if (window.location.pathname === "/requests") {
     refreshRequests();
   }
+  if (window.location.pathname === "/approvals") {
+    refreshApprovals();
+  }
 });
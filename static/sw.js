@@ -0,0 +1,62 @@
+// Service worker: keeps the app shell and the pick lists the form opens with,
+// so the new-request page still loads with no signal. Queuing submissions is
+// app.js's job (the outbox); this only answers GETs.
+const CACHE = "genia-shell-v1";
+const SHELL = ["/", "/requests", "/static/app.js"];
+// Versioned, so the cached copy never goes stale
+const CDN = ["https://unpkg.com/htmx.org@1.9.10"];
+// The last good response of each is served when the network is down
+const CACHED_API = ["/api/config", "/api/employees", "/api/locations", "/api/departments", "/api/classes", "/api/items/frequent"];
+
+self.addEventListener("install", e => {
+  // One missing file shouldn't stop the worker installing
+  e.waitUntil(caches.open(CACHE)
+    .then(cache => Promise.all([...SHELL, ...CDN].map(url => cache.add(url).catch(err => console.error(`Cache ${url}:`, err)))))
+    .then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", e => {
+  e.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys.filter(key => key !== CACHE).map(key => caches.delete(key))))
+    .then(() => self.clients.claim()));
+});
+
+// Fresh when online (pages and app.js change with each deploy), cached otherwise
+async function networkFirst(request, key = request) {
+  const cache = await caches.open(CACHE);
+  try {
+    const res = await fetch(request);
+    if (res.ok) cache.put(key, res.clone());
+    return res;
+  } catch (err) {
+    const cached = await cache.match(key);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const res = await fetch(request);
+  if (res.ok) cache.put(request, res.clone());
+  return res;
+}
+
+self.addEventListener("fetch", e => {
+  const { request } = e;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  if (CDN.includes(request.url)) {
+    e.respondWith(cacheFirst(request));
+  } else if (url.origin !== self.location.origin) {
+    return;
+  } else if (request.mode === "navigate") {
+    // Pages are cached by path: "/?again=12" offline still gets the form
+    e.respondWith(networkFirst(request, url.pathname));
+  } else if (SHELL.includes(url.pathname) || CACHED_API.includes(url.pathname)) {
+    e.respondWith(networkFirst(request));
+  }
+});